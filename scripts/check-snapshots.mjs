@@ -0,0 +1,179 @@
+import fs from "fs";
+import path from "path";
+import { cardPath, loadConfig } from "./lib/config.mjs";
+import { sourceVariants, variantPath } from "./lib/themes.mjs";
+import { createFixtureProvider } from "./lib/providers.mjs";
+import { readHistory } from "./lib/history.mjs";
+import { markdownPath } from "./lib/output.mjs";
+import { missingGlyphs } from "./lib/raster.mjs";
+import { generateDashboards } from "./lib/dashboard.mjs";
+import { generateGitHubCards } from "./github-cards.mjs";
+import { generateWakaTimeCards, wakaTimeCardPaths } from "./wakatime-cards.mjs";
+
+// Renders every card and dashboard (and their Markdown alternatives) from the recorded fixtures and
+// compares them to the committed snapshots.
+//
+//   node scripts/check-snapshots.mjs            # fail on any difference
+//   node scripts/check-snapshots.mjs --update   # rewrite the snapshots
+//   node scripts/check-snapshots.mjs --png      # also fail on text the PNG fonts can't draw
+//
+// The PNG check covers configs with png export and needs the raster packages (see
+// raster.mjs); without --png it runs when they're installed and is skipped otherwise.
+//
+// Besides the repo's own cards.config.json, every <fixtures>/configs/<name>.json is rendered
+// into snapshots/<name>/: setups the profile doesn't use (animations, other locales, ...).
+//
+// Theme env overrides (CARDS_THEME, ...) are ignored so the output only depends on the repo.
+
+const FIXTURES_DIR = process.env.CARDS_FIXTURES || "fixtures";
+const SNAPSHOT_DIR = path.join(FIXTURES_DIR, "snapshots");
+const CONFIGS_DIR = path.join(FIXTURES_DIR, "configs");
+const UPDATE = process.argv.includes("--update");
+const PNG = process.argv.includes("--png");
+
+// The repo's config first, then the extra snapshot configs by name
+function snapshotSets() {
+  const extra = fs.existsSync(CONFIGS_DIR)
+    ? fs
+        .readdirSync(CONFIGS_DIR)
+        .filter((f) => f.endsWith(".json"))
+        .sort()
+        .map((f) => ({ config: loadConfig(path.join(CONFIGS_DIR, f)), dir: path.join(SNAPSHOT_DIR, f.replace(/\.json$/, "")) }))
+    : [];
+  return [{ config: loadConfig(), dir: SNAPSHOT_DIR }, ...extra];
+}
+
+function firstDiff(a, b) {
+  const al = a.split("\n");
+  const bl = b.split("\n");
+  for (let i = 0; i < Math.max(al.length, bl.length); i++) {
+    if (al[i] !== bl[i]) {
+      return `line ${i + 1}\n      expected: ${(al[i] ?? "<eof>").trim()}\n      actual:   ${(bl[i] ?? "<eof>").trim()}`;
+    }
+  }
+  return "";
+}
+
+async function renderAll(config) {
+  const provider = createFixtureProvider(FIXTURES_DIR);
+  const results = [];
+
+  if (config.github) {
+    const { cards } = await generateGitHubCards({
+      config,
+      provider,
+      variants: sourceVariants(config, "github", {}),
+      history: readHistory(path.join(FIXTURES_DIR, "github-history.ndjson")),
+    });
+    results.push(...cards);
+  }
+  if (config.wakatime) {
+    const { cards } = await generateWakaTimeCards({ config, provider, variants: sourceVariants(config, "wakatime", {}) });
+    results.push(...cards);
+  }
+
+  // Dashboards from the cards rendered above, in the variants both sources have
+  if (!config.dashboards.length) return results;
+  const byOut = new Map(results.map((entry) => [entry.out, entry]));
+  const primaryOf = (ref) => {
+    const [source, id] = ref.split(".");
+    const card = config[source].cards.find((c) => c.id === id);
+    return source === "wakatime" ? wakaTimeCardPaths(config, card)[0] : cardPath(config, card);
+  };
+  const suffixes = ["github", "wakatime"]
+    .filter((name) => config[name])
+    .map((name) => sourceVariants(config, name, {}).map((v) => v.suffix))
+    .reduce((a, b) => a.filter((suffix) => b.includes(suffix)));
+  results.push(
+    ...generateDashboards({
+      dashboards: config.dashboards,
+      suffixes,
+      outFor: (dashboard) => cardPath(config, dashboard),
+      variantOut: variantPath,
+      cardFor: (ref, suffix) => byOut.get(variantPath(primaryOf(ref), suffix)) || { error: "not rendered" },
+    })
+  );
+  return results;
+}
+
+// Characters of a set's cards that would be missing-glyph boxes in the PNGs
+async function checkGlyphs(config, results, failures) {
+  if (!config.png) return;
+  let missing;
+  try {
+    missing = await missingGlyphs(results.filter((r) => r.svg != null).map((r) => r.svg), config.png);
+  } catch (e) {
+    if (PNG) throw e;
+    console.log(`PNG glyph check skipped: ${e.message}`);
+    return;
+  }
+  for (const ch of missing) {
+    const cp = `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`;
+    const cards = results.filter((r) => r.svg?.includes(ch)).map((r) => path.basename(r.out));
+    failures.push(`"${ch}" (${cp}) has no glyph in the PNG fonts: ${cards.join(", ")}`);
+  }
+}
+
+async function main() {
+  const files = [];
+  const failures = [];
+  for (const { config, dir } of snapshotSets()) {
+    const results = await renderAll(config);
+    await checkGlyphs(config, results, failures);
+    files.push(
+      ...results.flatMap(({ out, svg, markdown }) => [
+        { snap: path.join(dir, path.relative(config.outDir, out)), content: svg },
+        ...(markdown == null ? [] : [{ snap: path.join(dir, path.relative(config.outDir, markdownPath(out))), content: markdown }]),
+      ])
+    );
+  }
+
+  const seen = new Set();
+
+  for (const { snap, content } of files) {
+    seen.add(path.resolve(snap));
+
+    if (UPDATE) {
+      fs.mkdirSync(path.dirname(snap), { recursive: true });
+      fs.writeFileSync(snap, content, "utf8");
+      console.log(`Updated ${snap}`);
+      continue;
+    }
+
+    if (!fs.existsSync(snap)) {
+      failures.push(`${snap}: missing snapshot`);
+      continue;
+    }
+    const expected = fs.readFileSync(snap, "utf8");
+    if (expected !== content) {
+      failures.push(`${snap}: differs at ${firstDiff(expected, content)}`);
+    } else {
+      console.log(`ok ${snap}`);
+    }
+  }
+
+  // Snapshots for cards that no longer exist
+  if (fs.existsSync(SNAPSHOT_DIR)) {
+    for (const f of fs.readdirSync(SNAPSHOT_DIR, { recursive: true })) {
+      const file = path.join(SNAPSHOT_DIR, f);
+      if (!/\.(svg|md)$/.test(file) || seen.has(path.resolve(file))) continue;
+      if (UPDATE) {
+        fs.rmSync(file);
+        console.log(`Removed ${file}`);
+      } else {
+        failures.push(`${file}: obsolete snapshot`);
+      }
+    }
+  }
+
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:\n  ${failures.join("\n  ")}`);
+    console.error("\nIf the change is intended, run: node scripts/check-snapshots.mjs --update");
+    process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -1,363 +1,35 @@
-import fs from "fs";
-import path from "path";
-
-// Outputs
-const OUT_DIR = "assets";
-const OUT_STATS = path.join(OUT_DIR, "github-stats.svg");
-const OUT_ACTIVITY = path.join(OUT_DIR, "github-activity.svg");
-const OUT_LANGS = path.join(OUT_DIR, "github-langs.svg");
-
-// ENV
-const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-const USERNAME = process.env.GH_USERNAME; // e.g. Shayan-02
-
-if (!GH_TOKEN) {
-  console.error("Missing GH_TOKEN (recommended) or GITHUB_TOKEN");
-  process.exit(1);
-}
-if (!USERNAME) {
-  console.error("Missing GH_USERNAME");
-  process.exit(1);
-}
-
-// Fixed range start
-const FROM_YEAR = 2021;
-
-// Professional theme (GitHub-friendly, no neon pink)
-const theme = {
-  bg1: "#0B1220",
-  bg2: "#111827",
-  title: "#E5E7EB",
-  text: "#E5E7EB",
-  muted: "#94A3B8",
-  barBg: "#1F2937",
-  stroke: "#334155",
-  accent: "#0EA5E9",
-  bars: ["#0EA5E9", "#22C55E", "#A78BFA", "#F59E0B", "#38BDF8", "#14B8A6", "#EAB308"],
-};
-
-function escapeXml(str) {
-  return String(str ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
-}
-
-function fmtNumber(n) {
-  const x = Number(n || 0);
-  return x.toLocaleString("en-US");
-}
-
-function humanBytes(bytes) {
+import { fileURLToPath } from "url";
+import { foldOtherRows, renderCard } from "./lib/render.mjs";
+import { variantPath } from "./lib/themes.mjs";
+import { GITHUB_STAT_KEYS, cardPath, fillTemplate } from "./lib/config.mjs";
+import { deltaLabel, mergeSnapshot, trendFor } from "./lib/history.mjs";
+import { computeGrade } from "./lib/grading.mjs";
+import { createI18n } from "./lib/i18n.mjs";
+import {
+  CALENDAR_FIELDS,
+  activeDays,
+  addDays,
+  busiestDay,
+  currentStreak,
+  flattenDays,
+  longestStreak,
+  mergeDays,
+} from "./lib/calendar.mjs";
+
+function humanBytes(bytes, i18n) {
   const b = Number(bytes || 0);
   const mb = 1024 * 1024;
   const kb = 1024;
-  if (b >= mb) return `${(b / mb).toFixed(1)} MB`;
-  if (b >= kb) return `${(b / kb).toFixed(1)} KB`;
-  return `${b} B`;
-}
-
-async function ghGraphQL(query, variables) {
-  const res = await fetch("https://api.github.com/graphql", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${GH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await res.json();
-  if (!res.ok || json.errors) {
-    console.error("GitHub GraphQL error:", JSON.stringify(json.errors || json, null, 2));
-    process.exit(1);
-  }
-  return json.data;
-}
-
-/**
- * Grade (combined) using log normalization
- * Score in [0..1], mapped to D/C/B/A/S
- *
- * Combined signals:
- * - activity: commits, prs, issues, reviews
- * - impact: stars
- * - scope: repos
- */
-function computeGrade({ commits, prs, issues, reviews, starsTotal, reposTotal }) {
-  // log(1+x) for diminishing returns
-  const L = (x) => Math.log1p(Math.max(0, Number(x || 0)));
-
-  // Targets are “soft caps” — adjust if you like later
-  const targets = {
-    commits: 4000,
-    prs: 200,
-    issues: 200,
-    reviews: 250,
-    stars: 300,
-    repos: 60,
-  };
-
-  const norm = (val, target) => {
-    const a = L(val);
-    const b = L(target);
-    return b === 0 ? 0 : Math.min(1, a / b);
-  };
-
-  // Weights (sum = 1)
-  const w = {
-    commits: 0.35,
-    prs: 0.20,
-    issues: constOrZero(0.10),
-    reviews: 0.10,
-    stars: 0.15,
-    repos: 0.10,
-  };
-
-  // Ensure valid weights (avoid accidental NaN)
-  function constOrZero(x) {
-    return Number.isFinite(x) ? x : 0;
-  }
-
-  const score =
-    w.commits * norm(commits, targets.commits) +
-    w.prs * norm(prs, targets.prs) +
-    w.issues * norm(issues, targets.issues) +
-    w.reviews * norm(reviews, targets.reviews) +
-    w.stars * norm(starsTotal, targets.stars) +
-    w.repos * norm(reposTotal, targets.repos);
-
-  const pct = Math.round(score * 100);
-
-  let letter = "D";
-  if (pct >= 85) letter = "S";
-  else if (pct >= 70) letter = "A";
-  else if (pct >= 55) letter = "B";
-  else if (pct >= 40) letter = "C";
-
-  return { score, pct, letter };
-}
-
-function ringSvg({ cx, cy, r, strokeWidth, pct, color, label }) {
-  const clamped = Math.max(0, Math.min(100, pct));
-  const C = 2 * Math.PI * r;
-  const dash = (C * clamped) / 100;
-  const gap = C - dash;
-
-  return `
-    <g>
-      <circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${theme.stroke}" stroke-width="${strokeWidth}" opacity="0.65"/>
-      <circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"
-              stroke-linecap="round"
-              stroke-dasharray="${dash} ${gap}"
-              transform="rotate(-90 ${cx} ${cy})"
-              filter="url(#barGlow)"/>
-      <text x="${cx}" y="${cy + 7}" text-anchor="middle"
-            fill="${theme.text}" font-size="22" font-weight="900"
-            font-family="ui-sans-serif, system-ui">${escapeXml(label)}</text>
-      <text x="${cx}" y="${cy + 28}" text-anchor="middle"
-            fill="${theme.muted}" font-size="11" font-weight="700"
-            font-family="ui-sans-serif, system-ui">${clamped}%</text>
-    </g>
-  `;
-}
-
-function svgDefs() {
-  return `
-  <defs>
-    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
-      <stop offset="0%" stop-color="${theme.bg1}"/>
-      <stop offset="100%" stop-color="${theme.bg2}"/>
-    </linearGradient>
-
-    <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
-      <feDropShadow dx="0" dy="10" stdDeviation="18" flood-color="#000000" flood-opacity="0.35"/>
-    </filter>
-
-    <filter id="barGlow" x="-20%" y="-50%" width="140%" height="200%">
-      <feDropShadow dx="0" dy="0" stdDeviation="2" flood-color="#ffffff" flood-opacity="0.06"/>
-      <feDropShadow dx="0" dy="4" stdDeviation="6" flood-color="#000000" flood-opacity="0.22"/>
-    </filter>
-  </defs>
-`;
-}
-
-function baseCard({ width, height }) {
-  return `<rect x="0" y="0" width="${width}" height="${height}" rx="18" ry="18" fill="url(#bgGrad)" filter="url(#shadow)" />`;
-}
-
-/**
- * Card 1: Grid stats + Grade ring
- */
-function renderGridStatsCard({ title, subtitleLeft, totalText, topText, items, grade }) {
-  const width = 900;
-  const padding = 28;
-  const headerH = 124;
-
-  const cols = 3;
-  const rows = Math.ceil(items.length / cols);
-
-  const cardGap = 14;
-  const boxH = 74;
-  const boxW = Math.floor((width - padding * 2 - cardGap * (cols - 1)) / cols);
-
-  const height = headerH + rows * (boxH + cardGap) + 30;
-
-  // Ring placement (top-right)
-  const ringCx = width - padding - 46;
-  const ringCy = 58;
-
-  const ringColor =
-    grade.letter === "S"
-      ? theme.bars[1]
-      : grade.letter === "A"
-      ? theme.bars[0]
-      : grade.letter === "B"
-      ? theme.bars[2]
-      : grade.letter === "C"
-      ? theme.bars[3]
-      : theme.muted;
-
-  const boxes = items
-    .map((it, idx) => {
-      const rr = Math.floor(idx / cols);
-      const cc = idx % cols;
-      const x = padding + cc * (boxW + cardGap);
-      const y = headerH + rr * (boxH + cardGap);
-
-      const accent = theme.bars[idx % theme.bars.length];
-
-      return `
-        <rect x="${x}" y="${y}" rx="14" ry="14" width="${boxW}" height="${boxH}"
-              fill="${theme.barBg}" opacity="0.92" />
-        <rect x="${x}" y="${y}" rx="14" ry="14" width="6" height="${boxH}"
-              fill="${accent}" opacity="0.95" />
-
-        <text x="${x + 18}" y="${y + 28}" fill="${theme.muted}" font-size="12" font-weight="700"
-              font-family="ui-sans-serif, system-ui">${escapeXml(it.label)}</text>
-
-        <text x="${x + 18}" y="${y + 54}" fill="${theme.text}" font-size="22" font-weight="900"
-              font-family="ui-sans-serif, system-ui">${escapeXml(it.value)}</text>
-      `;
-    })
-    .join("\n");
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
-     xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeXml(title)}">
-  ${svgDefs()}
-  ${baseCard({ width, height })}
-
-  <text x="${padding}" y="46" fill="${theme.title}" font-size="22" font-weight="900"
-        font-family="ui-sans-serif, system-ui">${escapeXml(title)}</text>
-
-  <text x="${padding}" y="72" fill="${theme.muted}" font-size="12" font-weight="650"
-        font-family="ui-sans-serif, system-ui">${escapeXml(subtitleLeft)}</text>
-
-  <text x="${padding}" y="94" fill="${theme.muted}" font-size="12" font-weight="650"
-        font-family="ui-sans-serif, system-ui">${escapeXml(totalText)}</text>
-
-  <text x="${width - padding - 110}" y="94" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="650"
-        font-family="ui-sans-serif, system-ui">${escapeXml(topText)}</text>
-
-  ${ringSvg({
-    cx: ringCx,
-    cy: ringCy,
-    r: 26,
-    strokeWidth: 7,
-    pct: grade.pct,
-    color: ringColor,
-    label: grade.letter,
-  })}
-
-  <line x1="${padding}" y1="108" x2="${width - padding}" y2="108"
-        stroke="${theme.stroke}" stroke-width="1" opacity="0.75" />
-
-  ${boxes}
-</svg>`;
-}
-
-/**
- * Card 2/3: WakaTime-style bars with rank + Top
- */
-function renderBarsCard({ title, subtitleLeft, totalText, topText, rows }) {
-  const width = 900;
-  const padding = 28;
-
-  const headerH = 124;
-  const rowH = 34;
-
-  const rankW = 46;
-  const nameX = padding + rankW;
-  const barX = 380;
-
-  const pctColW = 82;
-  const barW = width - barX - padding - pctColW;
-  const barH = 10;
-
-  const height = headerH + rows.length * rowH + 30;
-
-  const svgRows = rows
-    .map((r, i) => {
-      const y = headerH + i * rowH;
-      const color = theme.bars[i % theme.bars.length];
-      const pct = Math.max(0, Math.min(1, r.percent / 100));
-      const fillW = Math.round(barW * pct);
-
-      const dotCx = padding + 28;
-      const dotCy = y - 6;
-
-      return `
-        <circle cx="${dotCx}" cy="${dotCy}" r="5" fill="${color}" opacity="0.95"/>
-        <text x="${padding}" y="${y}" fill="${theme.muted}" font-size="12" font-weight="750"
-              font-family="ui-sans-serif, system-ui">#${i + 1}</text>
-
-        <text x="${nameX}" y="${y}" fill="${theme.text}" font-size="14" font-weight="650"
-              font-family="ui-sans-serif, system-ui">${escapeXml(r.name)}</text>
-
-        <text x="${barX - 16}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="650"
-              font-family="ui-sans-serif, system-ui">${escapeXml(r.valueText)}</text>
-
-        <rect x="${barX}" y="${y - 12}" rx="6" ry="6" width="${barW}" height="${barH}" fill="${theme.barBg}" opacity="0.95"/>
-        <rect x="${barX}" y="${y - 12}" rx="6" ry="6" width="${fillW}" height="${barH}" fill="${color}" filter="url(#barGlow)" />
-
-        <text x="${width - padding}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="700"
-              font-family="ui-sans-serif, system-ui">${r.percent.toFixed(2)}%</text>
-      `;
-    })
-    .join("\n");
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
-     xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeXml(title)}">
-  ${svgDefs()}
-  ${baseCard({ width, height })}
-
-  <text x="${padding}" y="46" fill="${theme.title}" font-size="22" font-weight="900"
-        font-family="ui-sans-serif, system-ui">${escapeXml(title)}</text>
-
-  <text x="${padding}" y="72" fill="${theme.muted}" font-size="12" font-weight="650"
-        font-family="ui-sans-serif, system-ui">${escapeXml(subtitleLeft)}</text>
-
-  <text x="${width - padding}" y="46" text-anchor="end" fill="${theme.text}" font-size="14" font-weight="900"
-        font-family="ui-sans-serif, system-ui">${escapeXml(totalText)}</text>
-
-  <text x="${width - padding}" y="72" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="650"
-        font-family="ui-sans-serif, system-ui">${escapeXml(topText)}</text>
-
-  <line x1="${padding}" y1="98" x2="${width - padding}" y2="98"
-        stroke="${theme.stroke}" stroke-width="1" opacity="0.75" />
-
-  ${svgRows}
-</svg>`;
+  if (b >= mb) return `${i18n.decimal(b / mb, 1)} MB`;
+  if (b >= kb) return `${i18n.decimal(b / kb, 1)} KB`;
+  return `${i18n.number(b)} B`;
 }
 
 // ---- DATA ----
 
-async function fetchContribSince2021(login) {
+async function fetchContribSince2021(provider, login, { fromYear, toYear, withCalendar = false, key = "contrib" }) {
   // GitHub rule: contributionsCollection(from,to) must not exceed 1 year
+  // The daily calendar is only asked for when a card needs it (streaks)
   const q = `
     query($login: String!, $from: DateTime!, $to: DateTime!) {
       user(login: $login) {
@@ -366,39 +38,44 @@ async function fetchContribSince2021(login) {
           totalIssueContributions
           totalPullRequestContributions
           totalPullRequestReviewContributions
+          ${withCalendar ? CALENDAR_FIELDS : ""}
         }
       }
     }
   `;
 
-  const now = new Date();
-  const endYear = now.getUTCFullYear();
+  const now = provider.now();
+  const endYear = toYear ?? now.getUTCFullYear();
 
   let commits = 0,
     prs = 0,
     issues = 0,
     reviews = 0;
+  const dayMap = new Map(); // year ranges touch at Jan 1, keep one entry per date
 
-  for (let y = FROM_YEAR; y <= endYear; y++) {
+  for (let y = fromYear; y <= endYear; y++) {
     const from = new Date(Date.UTC(y, 0, 1, 0, 0, 0)).toISOString();
     const to =
-      y === endYear
+      y === now.getUTCFullYear()
         ? now.toISOString()
         : new Date(Date.UTC(y + 1, 0, 1, 0, 0, 0)).toISOString();
 
-    const data = await ghGraphQL(q, { login, from, to });
+    const data = await provider.graphql(`${key}-${y}`, q, { login, from, to });
     const c = data.user.contributionsCollection;
 
     commits += Number(c.totalCommitContributions || 0);
     prs += Number(c.totalPullRequestContributions || 0);
     issues += Number(c.totalIssueContributions || 0);
     reviews += Number(c.totalPullRequestReviewContributions || 0);
+
+    for (const day of flattenDays(c.contributionCalendar?.weeks)) dayMap.set(day.date, day);
   }
 
-  return { commits, prs, issues, reviews };
+  const days = [...dayMap.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return { commits, prs, issues, reviews, days };
 }
 
-async function fetchData() {
+async function fetchUser(provider, login, key = "user") {
   // user basic counts
   const qUser = `
     query($login: String!) {
@@ -409,26 +86,67 @@ async function fetchData() {
       }
     }
   `;
-  const userData = await ghGraphQL(qUser, { login: USERNAME });
+  const userData = await provider.graphql(key, qUser, { login });
   const u = userData.user;
 
-  // contributions since 2021
-  const contrib = await fetchContribSince2021(USERNAME);
+  return {
+    followers: u.followers.totalCount,
+    reposTotal: u.repositories.totalCount,
+  };
+}
 
-  // repos pagination for stars + languages
+// Members of an organization plus its repository count (members with a private
+// membership only show up with a token that has the read:org scope)
+async function fetchOrg(provider, org, key = "org") {
+  const q = `
+    query($login: String!, $cursor: String) {
+      organization(login: $login) {
+        repositories { totalCount }
+        membersWithRole(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { login }
+        }
+      }
+    }
+  `;
+
+  let cursor = null;
+  let reposTotal = 0;
+  const members = [];
+  for (let pageNo = 1; ; pageNo++) {
+    const data = await provider.graphql(`${key}-${pageNo}`, q, { login: org, cursor });
+    const o = data.organization;
+    reposTotal = o.repositories.totalCount;
+    members.push(...(o.membersWithRole.nodes || []).map((m) => m.login));
+
+    if (!o.membersWithRole.pageInfo.hasNextPage) break;
+    cursor = o.membersWithRole.pageInfo.endCursor;
+  }
+  return { reposTotal, members };
+}
+
+async function fetchRepos(provider, login, { org = false, key = "repos" } = {}) {
+  // repos pagination for stars, languages and the top repositories list;
+  // an organization owns all of its repositories, a user only the OWNER ones
+  const owner = org ? "organization" : "user";
   const qRepos = `
     query($login:String!, $cursor:String) {
-      user(login:$login) {
+      ${owner}(login:$login) {
         repositories(
           first: 100,
-          after: $cursor,
-          ownerAffiliations: OWNER,
+          after: $cursor,${org ? "" : "\n          ownerAffiliations: OWNER,"}
           orderBy: { field: UPDATED_AT, direction: DESC }
         ) {
           pageInfo { hasNextPage endCursor }
           nodes {
+            name
+            description
+            isPrivate
             isFork
             stargazerCount
+            forkCount
+            pushedAt
+            primaryLanguage { name color }
             languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
               edges { size node { name } }
             }
@@ -440,156 +158,631 @@ async function fetchData() {
 
   let cursor = null;
   let starsTotal = 0;
-  const langMap = new Map();
+  const repos = [];
+  const repoLangs = []; // every repo incl. forks, aggregated per card (see aggregateLanguages)
 
-  while (true) {
-    const data = await ghGraphQL(qRepos, { login: USERNAME, cursor });
-    const page = data.user.repositories;
+  for (let pageNo = 1; ; pageNo++) {
+    const data = await provider.graphql(`${key}-${pageNo}`, qRepos, { login, cursor });
+    const page = data[owner].repositories;
     const nodes = page.nodes || [];
 
     for (const r of nodes) {
+      repoLangs.push({
+        owner: login,
+        name: r.name,
+        isFork: Boolean(r.isFork),
+        languages: (r.languages?.edges || [])
+          .filter((e) => e.node?.name)
+          .map((e) => [e.node.name, Number(e.size || 0)]),
+      });
+
       if (r.isFork) continue; // keep clean
       starsTotal += Number(r.stargazerCount || 0);
 
-      for (const e of (r.languages?.edges || [])) {
-        const name = e.node?.name;
-        const size = Number(e.size || 0);
-        if (!name) continue;
-        langMap.set(name, (langMap.get(name) || 0) + size);
-      }
+      repos.push({
+        owner: login,
+        name: r.name,
+        description: r.description || "",
+        isPrivate: Boolean(r.isPrivate),
+        stars: Number(r.stargazerCount || 0),
+        forks: Number(r.forkCount || 0),
+        pushedAt: r.pushedAt,
+        language: r.primaryLanguage?.name || "",
+        color: r.primaryLanguage?.color || "",
+      });
     }
 
     if (!page.pageInfo.hasNextPage) break;
     cursor = page.pageInfo.endCursor;
   }
 
-  const commits = contrib.commits;
-  const prs = contrib.prs;
-  const issues = contrib.issues;
-  const reviews = contrib.reviews;
-  const contribTotal = commits + prs + issues + reviews;
+  return { starsTotal, repoLangs, repos };
+}
 
-  const langEntries = [...langMap.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
-  const langTotalSize = langEntries.reduce((acc, [, v]) => acc + v, 0) || 1;
+// Data parts each card type is built from. A part that fails for good
+// only skips the cards that need it; the others are still produced.
+const CARD_NEEDS = {
+  stats: ["user", "contrib", "repos"],
+  activity: ["contrib"],
+  langs: ["repos"],
+  repos: ["repos"],
+  streak: ["contrib"],
+  heatmap: [], // plus its own calendar, see cardNeeds()
+  members: ["contrib"],
+};
 
-  const langRows = langEntries.map(([name, size]) => ({
-    name,
-    valueText: humanBytes(size),
-    percent: (size / langTotalSize) * 100,
-  }));
+function cardNeeds(card) {
+  return card.type === "heatmap" ? [`calendar:${card.range}`] : CARD_NEEDS[card.type];
+}
+
+const sum = (list, key) => list.reduce((acc, x) => acc + Number(x[key] || 0), 0);
+
+/**
+ * Fetches the requested parts ("org", "user", "contrib", "repos", "calendar:<range>").
+ * Returns the merged data and a Map of part -> Error for the parts that failed.
+ *
+ * For one user everything comes from `login`. With `org` and/or `members` (team
+ * mode) contributions, followers and calendars are summed over the members (the
+ * org's members unless listed), and stars and languages come from the org's
+ * repositories, or from every member's own ones without an org. Fixture names
+ * then get the account as a prefix, e.g. "octocat.contrib-2024".
+ */
+async function fetchData(provider, { login, org, members, fromYear, toYear, withCalendar, parts }) {
+  const d = { calendars: new Map() };
+  const failed = new Map();
+  const team = Boolean(org || members);
+  const key = (account, name) => (team ? `${account}.${name}` : name);
+
+  const load = async (part, fn) => {
+    if (!parts.has(part)) return;
+    try {
+      await fn();
+    } catch (e) {
+      failed.set(part, e);
+    }
+  };
+
+  // Whose contributions count; an org without a member list uses its members
+  let logins = members || [login];
+  if (org) {
+    await load("org", async () => (d.org = await fetchOrg(provider, org, key(org, "org"))));
+    if (failed.has("org")) {
+      // Nothing in an org setup can be counted without it
+      for (const part of parts) failed.set(part, failed.get("org"));
+      return { d, failed };
+    }
+    logins = members || d.org.members;
+  }
+  d.logins = logins;
 
+  await load("user", async () => {
+    const users = [];
+    for (const account of logins) users.push(await fetchUser(provider, account, key(account, "user")));
+    d.followers = sum(users, "followers");
+    d.reposTotal = org ? d.org.reposTotal : sum(users, "reposTotal");
+  });
+
+  // contributions in the configured year range, per member and summed
+  await load("contrib", async () => {
+    d.members = [];
+    for (const account of logins) {
+      const c = await fetchContribSince2021(provider, account, { fromYear, toYear, withCalendar, key: key(account, "contrib") });
+      d.members.push({ login: account, ...c, contribTotal: c.commits + c.prs + c.issues + c.reviews });
+    }
+    for (const k of ["commits", "prs", "issues", "reviews", "contribTotal"]) d[k] = sum(d.members, k);
+    d.days = mergeDays(d.members.map((m) => m.days));
+  });
+
+  await load("repos", async () => {
+    const owners = org ? [org] : logins;
+    Object.assign(d, { starsTotal: 0, repoLangs: [], repos: [], repoOwners: owners.length });
+    for (const owner of owners) {
+      const r = await fetchRepos(provider, owner, { org: Boolean(org), key: key(owner, "repos") });
+      d.starsTotal += r.starsTotal;
+      d.repoLangs.push(...r.repoLangs);
+      d.repos.push(...r.repos);
+    }
+  });
+
+  // Calendars for heatmap cards, one query per distinct range (and member)
+  for (const part of parts) {
+    if (!part.startsWith("calendar:")) continue;
+    const raw = part.slice("calendar:".length);
+    const range = raw === "last-year" ? raw : Number(raw);
+    await load(part, async () => {
+      const cals = [];
+      for (const account of logins) cals.push(await fetchCalendar(provider, account, range, key(account, `calendar-${range}`)));
+      d.calendars.set(range, { total: sum(cals, "total"), days: mergeDays(cals.map((c) => c.days)) });
+    });
+  }
+
+  return { d, failed };
+}
+
+async function fetchCalendar(provider, login, range, key = `calendar-${range}`) {
+  const q = `
+    query($login: String!, $from: DateTime!, $to: DateTime!) {
+      user(login: $login) {
+        contributionsCollection(from: $from, to: $to) {
+          ${CALENDAR_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const now = provider.now();
+  let from, to;
+  if (range === "last-year") {
+    to = now;
+    from = new Date(now);
+    from.setUTCFullYear(from.getUTCFullYear() - 1);
+  } else {
+    from = new Date(Date.UTC(range, 0, 1, 0, 0, 0));
+    const yearEnd = new Date(Date.UTC(range, 11, 31, 23, 59, 59));
+    to = yearEnd < now ? yearEnd : now;
+  }
+
+  const data = await provider.graphql(key, q, {
+    login,
+    from: from.toISOString(),
+    to: to.toISOString(),
+  });
+  const cal = data.user.contributionsCollection.contributionCalendar;
+  return { total: Number(cal.totalContributions || 0), days: flattenDays(cal.weeks) };
+}
+
+// Panel lines: "Commits  1,234 / 4,000" with the points earned out of the signal's weight
+function gradeBreakdown(grade, model, i18n) {
   return {
-    followers: u.followers.totalCount,
-    reposTotal: u.repositories.totalCount,
-    starsTotal,
-    commits,
-    prs,
-    issues,
-    reviews,
-    contribTotal,
-    langRows,
+    title: i18n.t("grade.breakdown", {
+      letter: grade.letter,
+      points: i18n.number(grade.pct),
+      max: i18n.number(100),
+      model: i18n.t(`grade.preset.${model.preset}`),
+    }),
+    parts: grade.parts
+      .filter((p) => p.weight > 0)
+      .map((p) => ({
+        label: i18n.t(`signal.${p.id}`),
+        valueText: `${i18n.number(p.value)} / ${i18n.number(p.target)}`,
+        points: p.points,
+        maxPoints: p.weight * 100,
+      })),
   };
 }
 
 // ---- UX helpers ----
 
-function pickTopActivity({ commits, prs, issues, reviews }) {
+// "today", "3d ago", "2w ago", "5mo ago", "1y ago". Counted in calendar days
+// (UTC) and in coarse steps, so the text moves at most once a day rather than
+// every run and the semantic compare in output.mjs skips the hourly runs between.
+function fmtPushed(iso, now, i18n) {
+  if (!iso) return "—";
+  const days = Math.max(0, Math.round((Date.parse(now.toISOString().slice(0, 10)) - Date.parse(iso.slice(0, 10))) / 86400000));
+  if (days < 7) return i18n.relative(-days, "day");
+  if (days < 30) return i18n.relative(-Math.floor(days / 7), "week");
+  if (days < 365) return i18n.relative(-Math.floor(days / 30), "month");
+  return i18n.relative(-Math.floor(days / 365), "year");
+}
+
+// "YYYY-MM-DD" of `now` in the given IANA time zone
+function todayIn(timeZone, now) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+}
+
+function pickTopActivity({ commits, prs, issues, reviews }, fmt, i18n) {
   const arr = [
-    ["Commits", commits],
-    ["PRs", prs],
-    ["Issues", issues],
-    ["Reviews", reviews],
+    ["commits", commits],
+    ["prsShort", prs],
+    ["issues", issues],
+    ["reviews", reviews],
   ].sort((a, b) => b[1] - a[1]);
-  const [name, value] = arr[0];
-  return `${name}: ${fmtNumber(value)}`;
+  const [key, value] = arr[0];
+  return `${i18n.t(`activity.${key}`)}: ${fmt(value)}`;
 }
 
-function makeActivityRows({ commits, prs, issues, reviews, contribTotal }) {
+function makeActivityRows({ commits, prs, issues, reviews, contribTotal }, fmt, i18n) {
   const total = contribTotal || 1;
   const rows = [
-    { name: "Commits", value: commits },
-    { name: "Pull Requests", value: prs },
-    { name: "Issues", value: issues },
-    { name: "Reviews", value: reviews },
+    { key: "commits", value: commits },
+    { key: "prs", value: prs },
+    { key: "issues", value: issues },
+    { key: "reviews", value: reviews },
   ];
 
   return rows.map((r) => ({
-    name: r.name,
-    valueText: fmtNumber(r.value),
+    name: i18n.t(`activity.${r.key}`),
+    valueText: fmt(r.value),
     percent: (r.value / total) * 100,
   }));
 }
 
-async function main() {
-  const d = await fetchData();
+// Compact heatmaps show the last 26 weeks (Sunday first) of the calendar
+const COMPACT_WEEKS = 26;
 
-  const updated = "Updated hourly";
-  const subtitleRange = "All-time (since 2021) • Includes private repositories";
+function lastWeeks(days, weeks) {
+  const last = days[days.length - 1];
+  if (!last) return days;
+  const from = addDays(last.date, -((weeks - 1) * 7 + last.weekday));
+  return days.filter((d) => d.date >= from);
+}
 
-  const topActivity = pickTopActivity(d);
+/**
+ * Language totals across repos, ranked by the card's weighting mode:
+ * - bytes: summed byte size (a single huge repo can dominate)
+ * - repos: number of repos using the language
+ * - blend: sqrt(bytes) * sqrt(repos), damping both extremes
+ * Returns [{ name, bytes, repos, score }] sorted by score.
+ */
+function aggregateLanguages(repoLangs, { weight, exclude, excludeRepos, includeForks }) {
+  const skipLang = new Set(exclude.map((x) => x.toLowerCase()));
+  const skipRepo = new Set(excludeRepos.map((x) => x.toLowerCase()));
+  const map = new Map();
+
+  for (const repo of repoLangs) {
+    if (repo.isFork && !includeForks) continue;
+    if (skipRepo.has(repo.name.toLowerCase()) || skipRepo.has(`${repo.owner}/${repo.name}`.toLowerCase())) continue;
+
+    for (const [name, size] of repo.languages) {
+      if (skipLang.has(name.toLowerCase())) continue;
+      const cur = map.get(name) || { name, bytes: 0, repos: 0 };
+      cur.bytes += size;
+      cur.repos += 1;
+      map.set(name, cur);
+    }
+  }
 
-  const grade = computeGrade({
-    commits: d.commits,
-    prs: d.prs,
-    issues: d.issues,
-    reviews: d.reviews,
-    starsTotal: d.starsTotal,
-    reposTotal: d.reposTotal,
-  });
+  const score = {
+    bytes: (l) => l.bytes,
+    repos: (l) => l.repos,
+    blend: (l) => Math.sqrt(l.bytes) * Math.sqrt(l.repos),
+  }[weight];
 
-  // Card 1: Grid stats + grade ring
-  const statsItems = [
-    { label: "Repositories (Total)", value: fmtNumber(d.reposTotal) },
-    { label: "Stars (Total)", value: fmtNumber(d.starsTotal) },
-    { label: "Followers", value: fmtNumber(d.followers) },
-    { label: "Commits (since 2021)", value: fmtNumber(d.commits) },
-    { label: "Pull Requests (since 2021)", value: fmtNumber(d.prs) },
-    { label: "Issues (since 2021)", value: fmtNumber(d.issues) },
-  ];
+  return [...map.values()]
+    .map((l) => ({ ...l, score: score(l) }))
+    .filter((l) => l.score > 0)
+    .sort((a, b) => b.score - a.score || b.bytes - a.bytes);
+}
 
-  const statsSvg = renderGridStatsCard({
-    title: "📊 GitHub • Stats",
-    subtitleLeft: `${updated} • ${subtitleRange}`,
-    totalText: `Total: ${fmtNumber(d.contribTotal)} contributions`,
-    topText: `Top: ${topActivity}`,
-    items: statsItems,
-    grade,
-  });
+function makeLangRows(langs, { limit, weight, other, minPercent }, fmt, i18n) {
+  // Folding into "Other" needs shares of every language, not just the shown ones
+  const entries = other ? langs : langs.slice(0, limit);
+  const total = entries.reduce((acc, l) => acc + l.score, 0) || 1;
+  const reposText = (n) => i18n.t("repos", { count: n, n: fmt(n) });
+
+  const valueText = {
+    bytes: (l) => humanBytes(l.bytes, i18n),
+    repos: (l) => reposText(l.repos),
+    blend: (l) => `${humanBytes(l.bytes, i18n)} · ${reposText(l.repos)}`,
+  }[weight];
+
+  const rows = entries.map((l) => ({
+    name: l.name,
+    valueText: valueText(l),
+    percent: (l.score / total) * 100,
+    bytes: l.bytes,
+  }));
 
-  // Card 2: Activity bars
-  const activityRows = makeActivityRows(d);
-  const activitySvg = renderBarsCard({
-    title: "📈 GitHub • Activity",
-    subtitleLeft: `${updated} • ${subtitleRange}`,
-    totalText: `Total: ${fmtNumber(d.contribTotal)} contributions`,
-    topText: `Top: ${topActivity}`,
-    rows: activityRows,
-  });
+  // Repo counts overlap between languages, so "Other" counts languages instead
+  const otherText = (rest) =>
+    weight === "repos"
+      ? i18n.t("langs", { count: rest.length, n: fmt(rest.length) })
+      : humanBytes(rest.reduce((acc, r) => acc + r.bytes, 0), i18n);
 
-  // Card 3: Languages (size-based)
-  const topLang = d.langRows[0]
-    ? `${d.langRows[0].name} (${d.langRows[0].percent.toFixed(2)}%)`
-    : "—";
-
-  const langsSvg = renderBarsCard({
-    title: "💻 GitHub • Languages",
-    subtitleLeft: `${updated} • Based on repository size (public + private)`,
-    totalText: `Total: ${fmtNumber(d.langRows.length)} langs`,
-    topText: `Top: ${topLang}`,
-    rows: d.langRows,
+  return foldOtherRows(rows, { limit, minPercent, otherText: other ? otherText : null, otherName: i18n.t("other") });
+}
+
+/**
+ * Fetches the data once and renders every configured GitHub card in every theme variant.
+ * `history` is the stored metrics history; today's snapshot is merged in before rendering.
+ * Returns { cards: [{ card, out, svg, markdown?, alt?, error? }], history } without writing anything;
+ * cards whose data failed to load come back with `svg: null` and an `error`.
+ */
+export async function generateGitHubCards({ config, provider, username, variants, history = [] }) {
+  const gh = config.github;
+  const login = username || gh.username;
+  const { org, members } = gh;
+  if (!login && !org && !members) {
+    throw new Error("Missing GH_USERNAME (or github.username, github.org or github.members in cards.config.json)");
+  }
+
+  // Contribution range (GitHub only allows one year per query, so we loop years)
+  const { fromYear, toYear } = gh;
+  const withCalendar = gh.cards.some((c) => c.type === "streak");
+
+  // Only fetch what the configured cards need; the history needs all the stat parts
+  const parts = new Set(gh.cards.flatMap(cardNeeds));
+  if (gh.history) CARD_NEEDS.stats.forEach((p) => parts.add(p));
+  if (org) parts.add("org");
+
+  const { d, failed } = await fetchData(provider, { login, org, members, fromYear, toYear, withCalendar, parts });
+
+  // Header texts in a card's locale; team cards name whose numbers they add up
+  const textsFor = (i18n) => {
+    const since = toYear
+      ? i18n.t("yearRange", { from: i18n.year(fromYear), to: i18n.year(toYear) })
+      : i18n.t("sinceYear", { year: i18n.year(fromYear) });
+    const memberCount = i18n.t("members", { count: d.logins?.length || 0 });
+    const scope = org ? `${org} (${memberCount})` : members ? memberCount : null;
+    const allTime = i18n.t("allTime", { range: since });
+    return {
+      updated: i18n.t("updatedHourly"),
+      since,
+      memberCount,
+      scope,
+      allTime,
+      subtitleRange: `${allTime} • ${scope || i18n.t("includesPrivate")}`,
+    };
+  };
+  // Compact cards are half as wide: abbreviated numbers and shorter subtitles
+  const isCompact = (card) => card.layout === "compact";
+  const numberFormat = (card, i18n) => (isCompact(card) ? i18n.compactNumber : i18n.number);
+  const subtitleFor = (card, i18n) => {
+    const { updated, allTime, subtitleRange } = textsFor(i18n);
+    return `${updated} • ${isCompact(card) ? allTime : subtitleRange}`;
+  };
+  // Template values of titles and labels, years in the card's digits
+  const varsFor = (i18n) => ({
+    fromYear: i18n.year(fromYear),
+    toYear: toYear == null ? "" : i18n.year(toYear),
+    username: login ?? "",
+    org: org ?? "",
   });
 
-  fs.mkdirSync(OUT_DIR, { recursive: true });
-  fs.writeFileSync(OUT_STATS, statsSvg, "utf8");
-  fs.writeFileSync(OUT_ACTIVITY, activitySvg, "utf8");
-  fs.writeFileSync(OUT_LANGS, langsSvg, "utf8");
+  // Today's numbers, one line per day in the history file (skipped when a stat part failed)
+  let nextHistory = history;
+  if (CARD_NEEDS.stats.every((p) => parts.has(p) && !failed.has(p))) {
+    const snapshot = { date: provider.now().toISOString().slice(0, 10) };
+    for (const key of GITHUB_STAT_KEYS) snapshot[key] = d[key];
+    nextHistory = mergeSnapshot(history, snapshot);
+  }
+
+  const trendItem = (card, key, i18n) => {
+    if (!card.trend) return {};
+    const t = trendFor(nextHistory, key, card.trend.days, provider.now());
+    return { trend: t && { ...t, deltaText: deltaLabel(t.delta, card.trend.days, numberFormat(card, i18n), i18n) } };
+  };
+
+  const topActivity = (card, i18n) => (failed.has("contrib") ? "" : pickTopActivity(d, numberFormat(card, i18n), i18n));
+  const contributions = (n, fmt, i18n) => i18n.t("contributions", { count: n, n: fmt(n) });
+
+  // One renderer per card type; card options come from cards.config.json
+  const builders = {
+    // Grid stats + grade ring (and optionally how the grade was reached)
+    stats: (card, theme, i18n) => {
+      const grade = computeGrade(d, card.grading);
+      const num = numberFormat(card, i18n);
+
+      return renderCard("grid", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact: isCompact(card),
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: subtitleFor(card, i18n),
+        totalText: i18n.t("total", { value: contributions(d.contribTotal, num, i18n) }),
+        topText: i18n.t("top", { value: topActivity(card, i18n) }),
+        items: card.items.map((it) => ({
+          label: fillTemplate(it.label ?? i18n.t(`${isCompact(card) ? "statShort" : "stat"}.${it.key}`), varsFor(i18n)),
+          value: num(d[it.key]),
+          ...trendItem(card, it.key, i18n),
+        })),
+        grade,
+        breakdown: card.breakdown ? gradeBreakdown(grade, card.grading, i18n) : null,
+      });
+    },
+
+    // Activity bars
+    activity: (card, theme, i18n) => {
+      const num = numberFormat(card, i18n);
+
+      return renderCard("bars", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact: isCompact(card),
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: subtitleFor(card, i18n),
+        totalText: i18n.t("total", { value: contributions(d.contribTotal, num, i18n) }),
+        topText: i18n.t("top", { value: topActivity(card, i18n) }),
+        rows: makeActivityRows(d, num, i18n),
+      });
+    },
+
+    // Languages (weighted by bytes, repo count or a blend)
+    langs: (card, theme, i18n) => {
+      const langs = aggregateLanguages(d.repoLangs, card);
+      const rows = makeLangRows(langs, card, numberFormat(card, i18n), i18n);
+      const topLang = rows[0] && !rows[0].other ? i18n.t("share", { name: rows[0].name, pct: i18n.percent(rows[0].percent) }) : "—";
+      const basis = i18n.t(`langs.${card.weight}`);
+      const scope = i18n.t(card.includeForks ? "langs.publicForks" : "langs.public");
+      const { updated } = textsFor(i18n);
+      const count = card.other ? langs.length : rows.length;
+
+      return renderCard("bars", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact: isCompact(card),
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: isCompact(card) ? `${updated} • ${basis}` : `${updated} • ${basis} (${scope})`,
+        totalText: i18n.t("total", { value: i18n.t("langs", { count }) }),
+        topText: i18n.t("top", { value: topLang }),
+        rows,
+      });
+    },
+
+    // Daily contribution heatmap
+    heatmap: (card, theme, i18n) => {
+      const cal = d.calendars.get(card.range);
+      const compact = isCompact(card);
+      const num = numberFormat(card, i18n);
+      // Half the width fits half the weeks; totals and stats follow the shown days
+      const days = compact ? lastWeeks(cal.days, COMPACT_WEEKS) : cal.days;
+      const total = compact ? days.reduce((acc, day) => acc + day.count, 0) : cal.total;
+      const busiest = busiestDay(days);
+      const streak = longestStreak(days);
+      const year = card.range === "last-year" ? null : i18n.year(card.range);
+      const rangeText = compact
+        ? `${year ? `${year}, ` : ""}${i18n.t("heatmap.lastWeeks", { count: COMPACT_WEEKS })}`
+        : year ?? i18n.t("heatmap.lastYear");
+      const daysText = (n) => i18n.t("days", { count: n, n: num(n) });
+
+      return renderCard("heatmap", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact,
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: `${textsFor(i18n).updated} • ${rangeText}`,
+        totalText: i18n.t("total", { value: contributions(total, num, i18n) }),
+        topText: busiest
+          ? i18n.t("heatmap.busiest", { date: i18n.date(busiest.date, { year: !compact }), n: num(busiest.count) })
+          : "",
+        days,
+        stats: [
+          i18n.t("heatmap.longest", {
+            value: streak.length
+              ? `${daysText(streak.length)} (${i18n.date(streak.start, { year: false })} – ${i18n.date(streak.end, { year: !compact })})`
+              : daysText(0),
+          }),
+        ],
+      });
+    },
+
+    // Top repositories by stars (or most recent push)
+    repos: (card, theme, i18n) => {
+      const byPushed = (a, b) => String(b.pushedAt || "").localeCompare(String(a.pushedAt || ""));
+      const list = d.repos
+        .filter((r) => card.includePrivate || !r.isPrivate)
+        .sort(card.sort === "pushed" ? byPushed : (a, b) => b.stars - a.stars || byPushed(a, b))
+        .slice(0, card.limit);
+      const now = provider.now();
+
+      const num = numberFormat(card, i18n);
+      // Repos of several members can share a name
+      const repoName = (r) => (d.repoOwners > 1 ? `${r.owner}/${r.name}` : r.name);
+
+      return renderCard("repos", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact: isCompact(card),
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: `${textsFor(i18n).updated} • ${i18n.t(card.sort === "pushed" ? "repos.pushed" : "repos.stars")}`,
+        totalText: i18n.t("total", { value: i18n.t("stars", { count: d.starsTotal, n: num(d.starsTotal) }) }),
+        topText: list[0] ? i18n.t("top", { value: repoName(list[0]) }) : "—",
+        repos: list.map((r) => ({
+          name: repoName(r),
+          description: r.description,
+          language: r.language,
+          color: r.color,
+          starsText: num(r.stars),
+          forksText: num(r.forks),
+          pushedText: fmtPushed(r.pushedAt, now, i18n),
+        })),
+      });
+    },
 
-  console.log(`Wrote ${OUT_STATS}`);
-  console.log(`Wrote ${OUT_ACTIVITY}`);
-  console.log(`Wrote ${OUT_LANGS}`);
+    // Per-member leaderboard for org and team setups
+    members: (card, theme, i18n) => {
+      const num = numberFormat(card, i18n);
+      const ranked = [...d.members].sort((a, b) => b[card.metric] - a[card.metric] || a.login.localeCompare(b.login));
+      const total = sum(ranked, card.metric);
+      const rows = foldOtherRows(
+        ranked.map((m) => ({
+          name: m.login,
+          valueText: num(m[card.metric]),
+          percent: total ? (m[card.metric] / total) * 100 : 0,
+          value: m[card.metric],
+        })),
+        {
+          limit: card.limit,
+          minPercent: card.minPercent,
+          otherText: card.other ? (rest) => num(sum(rest, "value")) : null,
+          otherName: i18n.t("other"),
+        }
+      );
+      const top =
+        rows[0] && !rows[0].other
+          ? i18n.t("top", { value: i18n.t("share", { name: rows[0].name, pct: i18n.percent(rows[0].percent) }) })
+          : "—";
+      const { updated, since, scope, memberCount } = textsFor(i18n);
+
+      return renderCard("bars", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact: isCompact(card),
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: `${updated} • ${i18n.t(`metricTitle.${card.metric}`)} ${since} • ${scope || memberCount}`,
+        totalText: i18n.t("total", { value: i18n.t(`metric.${card.metric}`, { count: total, n: num(total) }) }),
+        topText: top,
+        rows,
+      });
+    },
+
+    // Current / longest streak + active days over the whole range
+    streak: (card, theme, i18n) => {
+      const today = todayIn(gh.timezone, provider.now());
+      const current = currentStreak(d.days, today);
+      const longest = longestStreak(d.days);
+      const active = activeDays(d.days);
+      const span = d.days.length || 1;
+
+      const num = numberFormat(card, i18n);
+      const rangeOf = (s) =>
+        s.length
+          ? `${i18n.date(s.start, { year: false })} – ${i18n.date(s.end, { year: s.start.slice(0, 4) !== s.end.slice(0, 4) })}`
+          : "—";
+      const daysText = (n) => i18n.t("days", { count: n, n: num(n) });
+
+      return renderCard("grid", {
+        theme,
+        i18n,
+        animate: card.animate,
+        compact: isCompact(card),
+        title: fillTemplate(card.title, varsFor(i18n)),
+        subtitleLeft: subtitleFor(card, i18n),
+        totalText: i18n.t("total", { value: contributions(d.contribTotal, num, i18n) }),
+        topText: i18n.t("streak.active", { pct: i18n.percent(Math.round((active / span) * 100), 0) }),
+        items: [
+          { label: i18n.t("streak.current"), value: daysText(current.length), note: rangeOf(current) },
+          { label: i18n.t("streak.longest"), value: daysText(longest.length), note: rangeOf(longest) },
+          {
+            label: i18n.t("streak.days", { year: i18n.year(fromYear) }),
+            value: daysText(active),
+            note: i18n.t("streak.of", { count: span, n: num(span) }),
+          },
+        ],
+      });
+    },
+  };
+
+  const results = [];
+  for (const { suffix, theme } of variants) {
+    for (const card of gh.cards) {
+      const out = variantPath(cardPath(config, card), suffix);
+      const missing = cardNeeds(card).filter((p) => failed.has(p));
+      if (missing.length) {
+        results.push({ card, out, svg: null, error: missing.map((p) => `${p}: ${failed.get(p).message}`).join("; ") });
+        continue;
+      }
+      const { svg, markdown, alt } = builders[card.type](card, theme, createI18n(card.locale));
+      // Theme variants share one text alternative, next to the primary file
+      results.push({ card, out, svg, ...(suffix ? {} : { markdown, alt }) });
+    }
+  }
+  return { cards: results, history: nextHistory };
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
\ No newline at end of file
+// Kept for existing setups: same as `node scripts/profile-cards.mjs generate --source github`.
+// Imported lazily because profile-cards.mjs imports this module.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  import("./profile-cards.mjs")
+    .then(({ run }) => run(["generate", "--source", "github", ...process.argv.slice(2)]))
+    .catch((e) => {
+      console.error(e.message || e);
+      process.exit(1);
+    });
+}
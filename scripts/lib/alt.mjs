@@ -0,0 +1,154 @@
+// Text alternatives for the cards: a one-paragraph summary for the SVG's <desc>
+// and a Markdown table with the same numbers, written next to each card.
+//
+// Both are built from the options a layout renderer receives, so they always
+// match what the card shows, in the card's locale (`opts.i18n`).
+
+import { createI18n } from "./i18n.mjs";
+
+// First line of every Markdown alternative
+export const MARKDOWN_HEADER = "<!-- Generated by scripts/profile-cards.mjs; text alternative for the card image -->\n";
+
+/**
+ * Escapes a value for a Markdown table cell (pipes, emphasis, inline HTML).
+ */
+export function mdCell(value) {
+  return String(value ?? "")
+    .replace(/\s+/g, " ")
+    .replace(/([\\|*_`<>[\]])/g, "\\$1")
+    .trim();
+}
+
+/**
+ * GitHub-flavoured Markdown table. `align` marks right-aligned columns with "right".
+ *
+ * @param {{ title: string, align?: "right" }[]} columns
+ * @param {string[][]} rows
+ */
+export function markdownTable(columns, rows) {
+  const line = (cells) => `| ${cells.join(" | ")} |`;
+  return [
+    line(columns.map((c) => mdCell(c.title))),
+    line(columns.map((c) => (c.align === "right" ? "---:" : "---"))),
+    ...rows.map((r) => line(r.map(mdCell))),
+  ].join("\n");
+}
+
+// "Total: 1,234 contributions" + "Top: Commits (80.00%)" => "Total: 1,234 contributions. Top: Commits (80.00%)."
+function sentences(parts) {
+  const text = parts
+    .filter(Boolean)
+    .map((p) => String(p).trim().replace(/[.:]$/, ""))
+    .join(". ");
+  return text ? `${text}.` : "";
+}
+
+function preview(i18n, list, n, fmt) {
+  const shown = i18n.list(list.slice(0, n).map(fmt));
+  return list.length > n ? i18n.t("alt.more", { list: shown, count: list.length - n }) : shown;
+}
+
+// Per layout: summary sentence(s) and the table behind the card
+const DESCRIBE = {
+  grid: ({ totalText, items, grade }, i18n) => {
+    const gradeText = grade && `${grade.letter} (${i18n.percent(grade.pct, 0)})`;
+    return {
+      summary: sentences([
+        grade && i18n.t("alt.grade", { value: gradeText }),
+        ...items.map((it) => `${it.label}: ${it.value}${it.note ? ` (${it.note})` : ""}`),
+        totalText,
+      ]),
+      columns: [{ title: i18n.t("col.metric") }, { title: i18n.t("col.value"), align: "right" }, { title: i18n.t("col.note") }],
+      rows: [
+        ...items.map((it) => [it.label, it.value, it.trend?.deltaText || it.note || ""]),
+        ...(grade ? [[i18n.t("col.grade"), gradeText, ""]] : []),
+      ],
+    };
+  },
+
+  bars: ({ totalText, rows }, i18n) => ({
+    summary: sentences([
+      totalText,
+      rows.length && i18n.t("alt.ranked", { list: preview(i18n, rows, 3, (r) => `${r.name} ${i18n.percent(r.percent, 0)}`) }),
+    ]),
+    columns: [
+      { title: "#", align: "right" },
+      { title: i18n.t("col.name") },
+      { title: i18n.t("col.value"), align: "right" },
+      { title: i18n.t("col.share"), align: "right" },
+    ],
+    rows: rows.map((r, i) => [i18n.number(i + 1), r.name, r.valueText, i18n.percent(r.percent)]),
+  }),
+
+  heatmap: ({ totalText, topText, days, stats = [] }, i18n) => {
+    const months = new Map();
+    for (const d of days) months.set(d.date.slice(0, 7), (months.get(d.date.slice(0, 7)) || 0) + d.count);
+    return {
+      summary: sentences([totalText, topText, ...stats]),
+      columns: [{ title: i18n.t("col.month") }, { title: i18n.t("col.contributions"), align: "right" }],
+      rows: [...months].map(([month, count]) => [month, i18n.number(count)]),
+    };
+  },
+
+  daily: ({ totalText, topText, days, series, averageText }, i18n) => ({
+    summary: sentences([
+      totalText,
+      averageText,
+      topText,
+      series.length && i18n.t("alt.series", { list: i18n.list(series.map((s) => s.name)) }),
+    ]),
+    columns: [{ title: i18n.t("col.day") }, { title: i18n.t("col.total"), align: "right" }],
+    rows: days.map((d) => [d.label || d.dateText || d.weekdayText, d.totalText ?? ""]),
+  }),
+
+  repos: ({ totalText, repos }, i18n) => ({
+    summary: sentences([
+      totalText,
+      repos.length &&
+        i18n.t("top", { value: preview(i18n, repos, 3, (r) => i18n.t("alt.repoStars", { name: r.name, stars: r.starsText })) }),
+    ]),
+    columns: [
+      { title: "#", align: "right" },
+      { title: i18n.t("col.repository") },
+      { title: i18n.t("col.language") },
+      { title: i18n.t("col.stars"), align: "right" },
+      { title: i18n.t("col.forks"), align: "right" },
+      { title: i18n.t("col.lastPush") },
+      { title: i18n.t("col.description") },
+    ],
+    rows: repos.map((r, i) => [
+      i18n.number(i + 1),
+      r.name,
+      r.language || "",
+      r.starsText,
+      r.forksText,
+      r.pushedText,
+      r.description || "",
+    ]),
+  }),
+};
+
+/**
+ * Plain-language summary of a card for its <desc>, e.g.
+ * "Total: 8 langs. Ranked: TypeScript 42%, Python 30%, Go 10% and 5 more."
+ *
+ * @param {"grid" | "bars" | "heatmap" | "daily" | "repos"} layout
+ * @param {object} opts the options passed to the layout's renderer
+ */
+export function cardSummary(layout, opts) {
+  return DESCRIBE[layout](opts, opts.i18n || createI18n()).summary;
+}
+
+/**
+ * Markdown alternative for a card: title, subtitle, summary and the data table.
+ */
+export function cardMarkdown(layout, opts) {
+  const { summary, columns, rows } = DESCRIBE[layout](opts, opts.i18n || createI18n());
+  return `${MARKDOWN_HEADER}
+**${mdCell(opts.title)}**
+
+${[opts.subtitleLeft, summary].filter(Boolean).map(mdCell).join("  \n")}
+
+${markdownTable(columns, rows)}
+`;
+}
@@ -0,0 +1,96 @@
+// Helpers for GitHub's contributionCalendar (weeks -> contributionDays).
+// Dates are plain "YYYY-MM-DD" strings and are handled as UTC calendar days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CALENDAR_FIELDS = `
+  contributionCalendar {
+    totalContributions
+    weeks {
+      contributionDays { date weekday contributionCount contributionLevel }
+    }
+  }
+`;
+
+export function flattenDays(weeks = []) {
+  return weeks
+    .flatMap((w) => w.contributionDays || [])
+    .map((d) => ({ date: d.date, weekday: d.weekday, count: Number(d.contributionCount || 0), level: d.contributionLevel }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Sums several accounts' days per date (team and organization cards). GitHub's
+ * per-account levels don't add up, so merged days drop them and the heatmap
+ * derives levels from the summed counts. A single list is returned as is.
+ */
+export function mergeDays(lists) {
+  if (lists.length === 1) return lists[0];
+  const byDate = new Map();
+  for (const day of lists.flat()) {
+    const cur = byDate.get(day.date) || { date: day.date, weekday: day.weekday, count: 0 };
+    cur.count += day.count;
+    byDate.set(day.date, cur);
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+export function busiestDay(days) {
+  let best = null;
+  for (const d of days) {
+    if (d.count > 0 && (!best || d.count > best.count)) best = d;
+  }
+  return best;
+}
+
+/**
+ * Longest run of consecutive active days: { length, start, end } (length 0 when none).
+ * Days missing from the list count as gaps.
+ */
+export function longestStreak(days) {
+  let best = { length: 0, start: null, end: null };
+  let cur = null;
+
+  for (const d of days) {
+    if (d.count <= 0) {
+      cur = null;
+      continue;
+    }
+    if (cur && addDays(cur.end, 1) === d.date) {
+      cur = { ...cur, length: cur.length + 1, end: d.date };
+    } else {
+      cur = { length: 1, start: d.date, end: d.date };
+    }
+    if (cur.length > best.length) best = cur;
+  }
+  return best;
+}
+
+/**
+ * Streak running up to `today`. A quiet `today` doesn't break it yet
+ * (the day isn't over), so the streak may end yesterday.
+ */
+export function currentStreak(days, today) {
+  const byDate = new Map(days.map((d) => [d.date, d.count]));
+
+  let end = today;
+  if (!(byDate.get(end) > 0)) end = addDays(today, -1);
+  if (!(byDate.get(end) > 0)) return { length: 0, start: null, end: null };
+
+  let start = end;
+  while (byDate.get(addDays(start, -1)) > 0) start = addDays(start, -1);
+
+  return { length: daysBetween(start, end) + 1, start, end };
+}
+
+export function activeDays(days) {
+  return days.filter((d) => d.count > 0).length;
+}
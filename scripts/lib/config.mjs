@@ -0,0 +1,442 @@
+import fs from "fs";
+import path from "path";
+import { normalizeGrading } from "./grading.mjs";
+import { LOCALES } from "./i18n.mjs";
+
+// Declarative card configuration (cards.config.json), shared by both generators.
+//
+// {
+//   "outDir": "assets",
+//   "themes": { "light": "github-light", "file": "cards.themes.json" },
+//   "animate": false,
+//   "locale": "en",
+//   "readme": "README.md",
+//   "png": { "scales": [1, 2], "fonts": [] },
+//   "github":   { "username", "org"?, "members"?, "theme", "fromYear", "toYear"?, "timezone"?, "history"?, "cards": { id: card } },
+//   "wakatime": { "theme", "cards": { id: card } },
+//   "dashboards": { id: { "title"?, "out", "cards": ["github.stats", "wakatime.langs"], "columns"?, "gap"? } }
+// }
+//
+// A card is { type?, title, out, enabled?, animate?, layout?, locale?, ...type options }; `type` defaults to its id
+// and `layout` is "default" (900px) or "compact" (450px).
+//
+// `locale` (one of LOCALES in i18n.mjs, "en" by default) picks the language and
+// number/date formats of the generated texts; a card or dashboard can set its
+// own. Titles and item labels from this file are used as written.
+//
+// With github.org and/or github.members the GitHub cards cover a team: stars and
+// languages from the org's repos (or every member's), contributions summed over
+// the members (the org's members unless listed).
+
+export const DEFAULT_CONFIG_FILE = "cards.config.json";
+
+// Values a stats card item can show, see fetchData() in github-cards.mjs
+export const GITHUB_STAT_KEYS = [
+  "reposTotal",
+  "starsTotal",
+  "followers",
+  "commits",
+  "prs",
+  "issues",
+  "reviews",
+  "contribTotal",
+];
+
+// What a members leaderboard ranks by, see the members card in github-cards.mjs
+export const MEMBER_METRICS = ["contribTotal", "commits", "prs", "issues", "reviews"];
+
+// How the languages card ranks languages, see aggregateLanguages() in github-cards.mjs
+export const LANG_WEIGHTS = ["bytes", "repos", "blend"];
+
+// Lists in the WakaTime stats payload that can feed a bar card
+export const WAKATIME_SOURCES = [
+  "languages",
+  "editors",
+  "operating_systems",
+  "projects",
+  "categories",
+  "machines",
+  "dependencies",
+];
+
+// What happens to names that aren't allow-listed, see applyPrivacy() in wakatime-cards.mjs
+export const PRIVACY_MODES = ["show", "anonymize", "hide"];
+
+// Card sizes, see COMPACT_WIDTH in render.mjs
+export const CARD_LAYOUTS = ["default", "compact"];
+
+// Ranges of /users/current/stats/:range
+export const WAKATIME_RANGES = ["last_7_days", "last_30_days", "last_6_months", "last_year", "all_time"];
+
+const CARD_TYPES = {
+  github: {
+    stats: (card, at, errors) => {
+      if (!Array.isArray(card.items) || card.items.length === 0) {
+        errors.push(`${at}.items must be a non-empty array`);
+        return;
+      }
+      card.items.forEach((it, i) => {
+        if (!GITHUB_STAT_KEYS.includes(it?.key)) {
+          errors.push(`${at}.items[${i}].key must be one of: ${GITHUB_STAT_KEYS.join(", ")}`);
+        }
+        // Without a label the item gets the locale's default ("Followers", "Commits (since {fromYear})",
+        // just "Commits" on compact cards); a label set here is used as written in every locale
+        if (it?.label !== undefined) checkString(it.label, `${at}.items[${i}].label`, errors);
+      });
+
+      // Grade model (preset name or overrides) and the optional breakdown panel
+      card.grading = normalizeGrading(card.grading, `${at}.grading`, errors);
+      if (card.breakdown === undefined) card.breakdown = false;
+      if (typeof card.breakdown !== "boolean") errors.push(`${at}.breakdown must be true or false`);
+
+      // Trend mode: sparkline + delta per box, from github.history
+      if (card.trend === true) card.trend = {};
+      if (card.trend !== undefined && card.trend !== false) {
+        if (!isObject(card.trend)) {
+          errors.push(`${at}.trend must be true, false or { "days": n }`);
+          return;
+        }
+        card.trend = { days: 30, ...card.trend };
+        if (!Number.isInteger(card.trend.days) || card.trend.days < 2) {
+          errors.push(`${at}.trend.days must be an integer of at least 2`);
+        }
+      } else {
+        card.trend = null;
+      }
+    },
+    activity: () => {},
+    langs: (card, at, errors) => {
+      checkLimit(card, at, errors);
+      checkOther(card, at, errors);
+      if (card.weight === undefined) card.weight = "bytes";
+      if (!LANG_WEIGHTS.includes(card.weight)) errors.push(`${at}.weight must be one of: ${LANG_WEIGHTS.join(", ")}`);
+      for (const key of ["exclude", "excludeRepos"]) {
+        if (card[key] === undefined) card[key] = [];
+        checkStringList(card[key], `${at}.${key}`, errors);
+      }
+      if (card.includeForks === undefined) card.includeForks = false;
+      if (typeof card.includeForks !== "boolean") errors.push(`${at}.includeForks must be true or false`);
+    },
+    streak: () => {},
+    repos: (card, at, errors) => {
+      if (card.limit === undefined) card.limit = 6;
+      checkLimit(card, at, errors);
+      // "stars" (default) or "pushed" for recent activity
+      if (card.sort === undefined) card.sort = "stars";
+      if (!["stars", "pushed"].includes(card.sort)) errors.push(`${at}.sort must be "stars" or "pushed"`);
+      // Private repo names stay out of the README unless asked for
+      if (card.includePrivate === undefined) card.includePrivate = false;
+      if (typeof card.includePrivate !== "boolean") errors.push(`${at}.includePrivate must be true or false`);
+    },
+    heatmap: (card, at, errors) => {
+      // "last-year" (rolling 12 months) or a calendar year
+      if (card.range === undefined) card.range = "last-year";
+      if (card.range !== "last-year") checkYear(card.range, `${at}.range ("last-year" or a year)`, errors);
+    },
+    // Leaderboard of github.org / github.members
+    members: (card, at, errors) => {
+      checkLimit(card, at, errors);
+      checkOther(card, at, errors);
+      if (card.metric === undefined) card.metric = "contribTotal";
+      if (!MEMBER_METRICS.includes(card.metric)) errors.push(`${at}.metric must be one of: ${MEMBER_METRICS.join(", ")}`);
+    },
+  },
+  wakatime: {
+    bars: (card, at, errors) => {
+      if (!WAKATIME_SOURCES.includes(card.source)) {
+        errors.push(`${at}.source must be one of: ${WAKATIME_SOURCES.join(", ")}`);
+      }
+      checkLimit(card, at, errors);
+      checkOther(card, at, errors);
+      // One range, or several for a card per range with a tab strip (the first keeps the plain file name)
+      if (card.range === undefined) card.range = "all_time";
+      card.ranges = [...new Set([card.range].flat())];
+      if (!card.ranges.length || card.ranges.some((r) => !WAKATIME_RANGES.includes(r))) {
+        errors.push(`${at}.range must be one of (or a list of): ${WAKATIME_RANGES.join(", ")}`);
+      }
+
+      // Names to publish as-is; project names stay anonymous unless allow-listed
+      if (card.privacy === undefined) {
+        card.privacy = card.source === "projects" ? { allow: [], others: "anonymize" } : null;
+      } else if (!isObject(card.privacy)) {
+        errors.push(`${at}.privacy must be { "allow": [names], "others": "${PRIVACY_MODES.join('" | "')}" }`);
+      } else {
+        card.privacy = { allow: [], others: "anonymize", ...card.privacy };
+        checkStringList(card.privacy.allow, `${at}.privacy.allow`, errors);
+        if (!PRIVACY_MODES.includes(card.privacy.others)) {
+          errors.push(`${at}.privacy.others must be one of: ${PRIVACY_MODES.join(", ")}`);
+        }
+      }
+    },
+    // Stacked daily coding time from /users/current/summaries
+    daily: (card, at, errors) => {
+      if (card.days === undefined) card.days = 30;
+      if (!Number.isInteger(card.days) || card.days < 7 || card.days > 90) {
+        errors.push(`${at}.days must be an integer between 7 and 90`);
+      }
+      // Top languages drawn as their own segment, the rest is stacked as "Other"
+      if (card.languages === undefined) card.languages = 4;
+      if (!Number.isInteger(card.languages) || card.languages < 1) {
+        errors.push(`${at}.languages must be a positive integer`);
+      }
+    },
+  },
+};
+
+function isObject(x) {
+  return x != null && typeof x === "object" && !Array.isArray(x);
+}
+
+function checkString(value, at, errors) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${at} must be a non-empty string`);
+  }
+}
+
+function checkStringList(value, at, errors) {
+  if (!Array.isArray(value) || value.some((x) => typeof x !== "string")) {
+    errors.push(`${at} must be an array of strings`);
+  }
+}
+
+// Bar cards fold the rows past `limit` (or under `minPercent`) into "Other" unless other: false
+function checkOther(card, at, errors) {
+  if (card.other === undefined) card.other = true;
+  if (typeof card.other !== "boolean") errors.push(`${at}.other must be true or false`);
+  if (card.minPercent === undefined) card.minPercent = 0;
+  if (typeof card.minPercent !== "number" || card.minPercent < 0 || card.minPercent >= 100) {
+    errors.push(`${at}.minPercent must be a number from 0 to below 100`);
+  }
+}
+
+function checkLimit(card, at, errors) {
+  if (card.limit === undefined) card.limit = 10;
+  if (!Number.isInteger(card.limit) || card.limit < 1) {
+    errors.push(`${at}.limit must be a positive integer`);
+  }
+}
+
+// PNG export (see raster.mjs): false, true for 1x and 2x, or { scales, fonts }
+function normalizePng(value, errors) {
+  if (value === false || value === null) return null;
+  const png = { scales: [1, 2], fonts: [], ...(value === true ? {} : value) };
+  if (value !== true && !isObject(value)) {
+    errors.push("png must be true, false or { \"scales\": [1, 2], \"fonts\": [] }");
+    return null;
+  }
+  if (!Array.isArray(png.scales) || !png.scales.length || png.scales.some((s) => !Number.isInteger(s) || s < 1 || s > 4)) {
+    errors.push("png.scales must be a non-empty array of whole scales from 1 to 4");
+  }
+  checkStringList(png.fonts, "png.fonts", errors);
+  return png;
+}
+
+function checkYear(value, at, errors) {
+  const thisYear = new Date().getUTCFullYear();
+  if (!Number.isInteger(value) || value < 2008 || value > thisYear) {
+    errors.push(`${at} must be a year between 2008 and ${thisYear}`);
+  }
+}
+
+function checkTimeZone(value, at, errors) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+  } catch {
+    errors.push(`${at} must be an IANA time zone like "Asia/Kolkata" (got ${JSON.stringify(value)})`);
+  }
+}
+
+function checkLocale(value, at, errors) {
+  if (!LOCALES.includes(value)) errors.push(`${at} must be one of: ${LOCALES.join(", ")}`);
+}
+
+function normalizeCards(source, cards, errors, { defaultType, animate = false, locale = "en" } = {}) {
+  const at = `${source}.cards`;
+  if (!isObject(cards)) {
+    errors.push(`${at} must be an object of { id: card }`);
+    return [];
+  }
+
+  const out = [];
+  for (const [id, raw] of Object.entries(cards)) {
+    const cardAt = `${at}.${id}`;
+    if (!isObject(raw)) {
+      errors.push(`${cardAt} must be an object`);
+      continue;
+    }
+
+    const card = { id, enabled: true, animate, locale, layout: "default", ...raw, type: raw.type || defaultType || id };
+    const validate = CARD_TYPES[source][card.type];
+    if (!validate) {
+      errors.push(`${cardAt}.type "${card.type}" is unknown (expected: ${Object.keys(CARD_TYPES[source]).join(", ")})`);
+      continue;
+    }
+
+    checkString(card.title, `${cardAt}.title`, errors);
+    checkString(card.out, `${cardAt}.out`, errors);
+    if (typeof card.enabled !== "boolean") errors.push(`${cardAt}.enabled must be true or false`);
+    if (typeof card.animate !== "boolean") errors.push(`${cardAt}.animate must be true or false`);
+    if (!CARD_LAYOUTS.includes(card.layout)) errors.push(`${cardAt}.layout must be one of: ${CARD_LAYOUTS.join(", ")}`);
+    if ("locale" in raw) checkLocale(card.locale, `${cardAt}.locale`, errors);
+    validate(card, cardAt, errors);
+
+    if (card.enabled) out.push(card);
+  }
+  return out;
+}
+
+// Dashboards compose already configured cards ("source.id") into one SVG grid
+function normalizeDashboards(dashboards, config, errors) {
+  if (!isObject(dashboards)) {
+    errors.push("dashboards must be an object of { id: dashboard }");
+    return [];
+  }
+
+  const known = new Set(
+    ["github", "wakatime"].flatMap((source) => (config[source]?.cards || []).map((card) => `${source}.${card.id}`))
+  );
+
+  const out = [];
+  for (const [id, raw] of Object.entries(dashboards)) {
+    const at = `dashboards.${id}`;
+    if (!isObject(raw)) {
+      errors.push(`${at} must be an object`);
+      continue;
+    }
+
+    const dashboard = { id, title: "Profile dashboard", columns: 2, gap: 16, locale: config.locale, ...raw };
+    checkString(dashboard.title, `${at}.title`, errors);
+    if ("locale" in raw) checkLocale(dashboard.locale, `${at}.locale`, errors);
+    checkString(dashboard.out, `${at}.out`, errors);
+    if (!Array.isArray(dashboard.cards) || dashboard.cards.length === 0) {
+      errors.push(`${at}.cards must be a non-empty array of "source.id" card references`);
+      continue;
+    }
+    for (const ref of dashboard.cards) {
+      if (!known.has(ref)) {
+        errors.push(`${at}.cards: ${JSON.stringify(ref)} is not an enabled card (expected e.g. "github.stats" or "wakatime.langs")`);
+      }
+    }
+    if (!Number.isInteger(dashboard.columns) || dashboard.columns < 1 || dashboard.columns > 4) {
+      errors.push(`${at}.columns must be an integer from 1 to 4`);
+    }
+    if (typeof dashboard.gap !== "number" || dashboard.gap < 0) errors.push(`${at}.gap must be a number of at least 0`);
+    out.push(dashboard);
+  }
+  return out;
+}
+
+/**
+ * Validates a parsed config object and fills in defaults.
+ * Throws one Error listing every problem found.
+ */
+export function normalizeConfig(json, file = DEFAULT_CONFIG_FILE) {
+  const errors = [];
+  if (!isObject(json)) throw new Error(`${file}: expected a JSON object`);
+
+  const outDir = json.outDir ?? "assets";
+  checkString(outDir, "outDir", errors);
+
+  const themes = { light: "github-light", file: "cards.themes.json", ...(json.themes || {}) };
+  if (!isObject(json.themes ?? {})) errors.push("themes must be an object");
+
+  // Entrance animations for every card (a card's own `animate` wins)
+  const animate = json.animate ?? false;
+  if (typeof animate !== "boolean") errors.push("animate must be true or false");
+
+  // README whose <!-- CARDS:...:start --> blocks are kept up to date (see readme.mjs)
+  const readme = json.readme ?? null;
+  if (readme !== null) checkString(readme, "readme", errors);
+
+  const png = normalizePng(json.png ?? false, errors);
+
+  // Language of the generated texts (a card's own `locale` wins)
+  const locale = json.locale ?? "en";
+  checkLocale(locale, "locale", errors);
+
+  const config = { outDir, themes, animate, locale, readme, png, github: null, wakatime: null, dashboards: [] };
+
+  if (json.github !== undefined) {
+    const g = json.github;
+    if (!isObject(g)) {
+      errors.push("github must be an object");
+    } else {
+      const github = { theme: "professional", ...g };
+      if (github.username !== undefined) checkString(github.username, "github.username", errors);
+      checkString(github.theme, "github.theme", errors);
+      checkYear(github.fromYear, "github.fromYear", errors);
+      if (github.toYear !== undefined) {
+        checkYear(github.toYear, "github.toYear", errors);
+        if (github.toYear < github.fromYear) errors.push("github.toYear must not be before github.fromYear");
+      }
+      if (github.org !== undefined) checkString(github.org, "github.org", errors);
+      if (github.members !== undefined) {
+        checkStringList(github.members, "github.members", errors);
+        if (Array.isArray(github.members) && !github.members.length) errors.push("github.members must not be empty");
+      }
+      if (github.history !== undefined) checkString(github.history, "github.history", errors);
+      github.timezone = github.timezone ?? "UTC";
+      checkTimeZone(github.timezone, "github.timezone", errors);
+      github.cards = normalizeCards("github", g.cards, errors, { animate: config.animate, locale: config.locale });
+      for (const card of github.cards) {
+        if (card.trend && !github.history) {
+          errors.push(`github.cards.${card.id}.trend needs github.history (path of the history file)`);
+        }
+        if (card.type === "members" && !github.org && !github.members) {
+          errors.push(`github.cards.${card.id} (members) needs github.org or github.members`);
+        }
+      }
+      config.github = github;
+    }
+  }
+
+  if (json.wakatime !== undefined) {
+    const w = json.wakatime;
+    if (!isObject(w)) {
+      errors.push("wakatime must be an object");
+    } else {
+      const wakatime = { theme: "radical", ...w };
+      checkString(wakatime.theme, "wakatime.theme", errors);
+      wakatime.cards = normalizeCards("wakatime", w.cards, errors, { defaultType: "bars", animate: config.animate, locale: config.locale });
+      config.wakatime = wakatime;
+    }
+  }
+
+  if (json.dashboards !== undefined) config.dashboards = normalizeDashboards(json.dashboards, config, errors);
+
+  if (errors.length) {
+    throw new Error(`Invalid ${file}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return config;
+}
+
+/**
+ * Reads and validates the card config file.
+ */
+export function loadConfig(file = process.env.CARDS_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing card config ${file} (set CARDS_CONFIG to use another path)`);
+  }
+
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`);
+  }
+  return normalizeConfig(json, file);
+}
+
+/**
+ * Output path of a card inside the configured outDir.
+ */
+export function cardPath(config, card) {
+  return path.join(config.outDir, card.out);
+}
+
+/**
+ * Replaces {name} placeholders, e.g. "Commits (since {fromYear})".
+ */
+export function fillTemplate(str, vars) {
+  return String(str).replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+}
@@ -0,0 +1,129 @@
+import { escapeXml } from "./render.mjs";
+import { MARKDOWN_HEADER, mdCell } from "./alt.mjs";
+import { createI18n } from "./i18n.mjs";
+
+// Dashboards: several rendered cards (e.g. GitHub stats + GitHub languages +
+// WakaTime languages) laid out in a grid inside one SVG.
+//
+// Every card keeps its own markup as a nested <svg>; its ids (gradients, filters,
+// title/desc) get a per-card prefix so the copies don't collide in one document.
+
+// Size of a rendered card from its root <svg width=".." height="..">
+function svgSize(svg) {
+  const root = /<svg\b[^>]*>/.exec(svg)?.[0] || "";
+  const width = Number(/\swidth="([\d.]+)"/.exec(root)?.[1]);
+  const height = Number(/\sheight="([\d.]+)"/.exec(root)?.[1]);
+  if (!width || !height) throw new Error("card SVG has no width/height");
+  return { width, height };
+}
+
+// The card as a nested <svg> at (x, y) with its ids and id references prefixed
+function nestCard(svg, { prefix, x, y }) {
+  const refs = (list) => list.split(/\s+/).map((id) => `${prefix}${id}`).join(" ");
+  return svg
+    .replace(/^<\?xml[^>]*\?>\s*/, "")
+    .replace(/<svg\b/, `<svg x="${x}" y="${y}"`)
+    .replace(/\s+xmlns="[^"]*"/, "")
+    .replace(/\bid="([^"]+)"/g, (m, id) => `id="${prefix}${id}"`)
+    .replace(/url\(#([^)]+)\)/g, (m, id) => `url(#${prefix}${id})`)
+    .replace(/\bhref="#([^"]+)"/g, (m, id) => `href="#${prefix}${id}"`)
+    .replace(/\b(aria-labelledby|aria-describedby)="([^"]+)"/g, (m, attr, list) => `${attr}="${refs(list)}"`);
+}
+
+/**
+ * Composes cards into one SVG, row by row in `columns` columns. Columns are as wide
+ * as their widest card and rows as tall as their tallest; `gap` px between them.
+ * Right-to-left locales fill each row from the right.
+ *
+ * @param {{ title: string, cards: { title: string, svg: string }[], columns: number, gap: number, i18n?: object }} opts
+ */
+export function composeDashboard({ title, cards, columns, gap, i18n = createI18n() }) {
+  const sizes = cards.map((c) => svgSize(c.svg));
+  const colW = [];
+  const rowH = [];
+  sizes.forEach(({ width, height }, i) => {
+    const col = i % columns;
+    const row = Math.floor(i / columns);
+    colW[col] = Math.max(colW[col] || 0, width);
+    rowH[row] = Math.max(rowH[row] || 0, height);
+  });
+
+  const offset = (sizes, i) => sizes.slice(0, i).reduce((acc, s) => acc + s + gap, 0);
+  const width = offset(colW, colW.length) - gap;
+  const height = offset(rowH, rowH.length) - gap;
+
+  const colX = (col) => (i18n.dir === "rtl" ? width - offset(colW, col + 1) + gap : offset(colW, col));
+  const body = cards
+    .map((c, i) => nestCard(c.svg, { prefix: `card${i + 1}-`, x: colX(i % columns), y: offset(rowH, Math.floor(i / columns)) }))
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+     xmlns="http://www.w3.org/2000/svg" role="figure" aria-labelledby="dashboard-title" aria-describedby="dashboard-desc">
+  <title id="dashboard-title">${escapeXml(title)}</title>
+  <desc id="dashboard-desc">${escapeXml(i18n.t("dashboard.cards", { count: cards.length, list: i18n.list(cards.map((c) => c.title)) }))}</desc>
+${body}
+</svg>`;
+}
+
+// Card title from its <title> element
+function svgTitle(svg) {
+  const raw = /<title\b[^>]*>([^<]*)<\/title>/.exec(svg)?.[1] || "";
+  return raw.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+/**
+ * Renders every configured dashboard in each theme variant.
+ *
+ * `cardFor(ref, suffix)` returns a referenced card ("github.stats") in the variant
+ * with that suffix as { svg, markdown?, alt? }, { error } when it failed to render, or
+ * { absent } when it was never generated (e.g. its source hasn't run yet).
+ * Returns writeCards() entries; a dashboard with a failed card comes back with
+ * `svg: null` and an `error`, like a failed card, and one with an absent card with
+ * `svg: null` and `skipped` (the reason), to be left out rather than reported.
+ *
+ * @param {{ id: string, title: string, out: string, cards: string[], columns: number, gap: number }[]} dashboards
+ * @param {string[]} suffixes theme variant suffixes, the primary ("") first
+ * @param {(dashboard: object) => string} outFor output path of a dashboard's primary file
+ * @param {(file: string, suffix: string) => string} variantOut
+ */
+export function generateDashboards({ dashboards, suffixes, outFor, variantOut, cardFor }) {
+  const results = [];
+  for (const suffix of suffixes) {
+    for (const dashboard of dashboards) {
+      const card = { ...dashboard, type: "dashboard" };
+      const i18n = createI18n(dashboard.locale);
+      const out = variantOut(outFor(dashboard), suffix);
+      const parts = dashboard.cards.map((ref) => ({ ref, ...cardFor(ref, suffix) }));
+
+      const absent = parts.filter((p) => p.absent);
+      if (absent.length) {
+        results.push({ card, out, svg: null, skipped: absent.map((p) => `${p.ref}: ${p.absent}`).join("; ") });
+        continue;
+      }
+
+      const missing = parts.filter((p) => p.svg == null);
+      if (missing.length) {
+        results.push({ card, out, svg: null, error: missing.map((p) => `${p.ref}: ${p.error || "not rendered"}`).join("; ") });
+        continue;
+      }
+
+      const cards = parts.map((p) => ({ title: svgTitle(p.svg), svg: p.svg }));
+      const svg = composeDashboard({ title: dashboard.title, cards, columns: dashboard.columns, gap: dashboard.gap, i18n });
+      if (suffix) {
+        results.push({ card, out, svg });
+        continue;
+      }
+
+      // Text alternative: the cards' own tables, one after another
+      const markdown = `${MARKDOWN_HEADER}
+**${mdCell(dashboard.title)}**
+
+${parts.map((p) => (p.markdown ? p.markdown.replace(MARKDOWN_HEADER, "").trim() : `**${mdCell(svgTitle(p.svg))}**`)).join("\n\n")}
+`;
+      const alt = `${dashboard.title}: ${i18n.list(cards.map((c) => c.title))}`;
+      results.push({ card, out, svg, markdown, alt });
+    }
+  }
+  return results;
+}
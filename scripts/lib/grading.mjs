@@ -0,0 +1,114 @@
+// Grade model behind the stats card ring.
+//
+// Every signal is log-normalized against a soft-cap target (log(1+x) / log(1+target),
+// capped at 1), weighted, and the summed score in [0..1] is mapped to a letter.
+// A stats card picks a preset by name or tweaks one:
+//
+//   "grading": "maintainer"
+//   "grading": { "preset": "default", "weights": { "reviews": 0.2 }, "letters": { "S": 90 } }
+//
+// targets, weights and letters are merged over the preset's, so only the changed entries are needed.
+
+// Signal id => the fetchData() value it reads (labels are "signal.<id>" in i18n.mjs)
+export const GRADE_SIGNALS = {
+  commits: { key: "commits" },
+  prs: { key: "prs" },
+  issues: { key: "issues" },
+  reviews: { key: "reviews" },
+  stars: { key: "starsTotal" },
+  repos: { key: "reposTotal" },
+};
+
+const DEFAULT_LETTERS = { S: 85, A: 70, B: 55, C: 40, D: 0 };
+
+// Names shown on the cards are "grade.preset.<name>" in i18n.mjs
+export const GRADE_PRESETS = {
+  // Balanced: mostly shipping code, some impact and scope
+  default: {
+    targets: { commits: 4000, prs: 200, issues: 200, reviews: 250, stars: 300, repos: 60 },
+    weights: { commits: 0.35, prs: 0.2, issues: 0.1, reviews: 0.1, stars: 0.15, repos: 0.1 },
+    letters: DEFAULT_LETTERS,
+  },
+  // Reviews and issue triage count more than raw commits
+  maintainer: {
+    targets: { commits: 2000, prs: 150, issues: 300, reviews: 400, stars: 300, repos: 40 },
+    weights: { commits: 0.15, prs: 0.15, issues: 0.2, reviews: 0.3, stars: 0.1, repos: 0.1 },
+    letters: DEFAULT_LETTERS,
+  },
+};
+
+function checkNumbers(obj, at, errors, { positive }) {
+  for (const [id, v] of Object.entries(obj)) {
+    if (!GRADE_SIGNALS[id]) {
+      errors.push(`${at}.${id} is not a grading signal (expected: ${Object.keys(GRADE_SIGNALS).join(", ")})`);
+    } else if (typeof v !== "number" || !Number.isFinite(v) || v < 0 || (positive && v === 0)) {
+      errors.push(`${at}.${id} must be a ${positive ? "positive" : "non-negative"} number`);
+    }
+  }
+}
+
+/**
+ * Turns a card's `grading` option (preset name or { preset, targets, weights, letters })
+ * into a full model. Problems are pushed to `errors`; the result is still usable.
+ */
+export function normalizeGrading(spec = "default", at, errors) {
+  const opts = typeof spec === "string" ? { preset: spec } : spec;
+  if (opts === null || typeof opts !== "object" || Array.isArray(opts)) {
+    errors.push(`${at} must be a preset name or { "preset", "targets", "weights", "letters" }`);
+    return GRADE_PRESETS.default;
+  }
+
+  const presetName = opts.preset ?? "default";
+  const preset = GRADE_PRESETS[presetName];
+  if (!preset) {
+    errors.push(`${at}.preset "${presetName}" is unknown (expected: ${Object.keys(GRADE_PRESETS).join(", ")})`);
+    return GRADE_PRESETS.default;
+  }
+
+  const model = {
+    preset: presetName,
+    targets: { ...preset.targets, ...(opts.targets || {}) },
+    weights: { ...preset.weights, ...(opts.weights || {}) },
+    letters: { ...preset.letters, ...(opts.letters || {}) },
+  };
+  checkNumbers(model.targets, `${at}.targets`, errors, { positive: true });
+  checkNumbers(model.weights, `${at}.weights`, errors, { positive: false });
+  if (Object.values(model.weights).every((w) => !(w > 0))) errors.push(`${at}.weights must not all be 0`);
+
+  const letters = Object.entries(model.letters);
+  if (!letters.length || letters.some(([, min]) => typeof min !== "number" || min < 0 || min > 100)) {
+    errors.push(`${at}.letters must map letters to minimum percentages (0..100), e.g. { "S": 85, "A": 70 }`);
+  } else if (!letters.some(([, min]) => min === 0)) {
+    // Otherwise a score below every threshold would get the lowest letter anyway
+    errors.push(`${at}.letters must keep a letter for 0%, e.g. { "D": 0 }`);
+  }
+  return model;
+}
+
+/**
+ * Scores the stats with a grading model. Weights are used relative to their sum,
+ * so they don't have to add up to 1. `parts` explains the score: each signal's
+ * normalized value and the points (out of 100) it contributed.
+ */
+export function computeGrade(stats, model = GRADE_PRESETS.default) {
+  // log(1+x) for diminishing returns
+  const L = (x) => Math.log1p(Math.max(0, Number(x || 0)));
+  const totalWeight = Object.values(model.weights).reduce((a, w) => a + w, 0) || 1;
+
+  const parts = Object.entries(GRADE_SIGNALS).map(([id, { key }]) => {
+    const value = Number(stats[key] || 0);
+    const target = model.targets[id];
+    const norm = L(target) === 0 ? 0 : Math.min(1, L(value) / L(target));
+    const weight = (model.weights[id] || 0) / totalWeight;
+    return { id, value, target, weight, norm, points: weight * norm * 100 };
+  });
+
+  const score = parts.reduce((a, p) => a + p.weight * p.norm, 0);
+  const pct = Math.round(score * 100);
+
+  // Highest threshold reached; below all of them, the lowest letter
+  const letters = Object.entries(model.letters).sort((a, b) => b[1] - a[1]);
+  const letter = (letters.find(([, min]) => pct >= min) || letters[letters.length - 1])[0];
+
+  return { score, pct, letter, parts };
+}
@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import { createI18n } from "./i18n.mjs";
+
+// Metrics history: one JSON line per day ({ "date": "2026-10-19", "commits": 2987, ... }).
+// Hourly runs overwrite the current day's line, so the file grows by one line a day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function readHistory(file) {
+  if (!file || !fs.existsSync(file)) return [];
+
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line, i) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${file}:${i + 1}: invalid history line (${e.message})`);
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Adds (or replaces) the snapshot for `snapshot.date` and returns the new history.
+ */
+export function mergeSnapshot(history, snapshot) {
+  return [...history.filter((h) => h.date !== snapshot.date), snapshot].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+}
+
+export function writeHistory(file, history) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, history.map((h) => JSON.stringify(h)).join("\n") + "\n", "utf8");
+}
+
+/**
+ * Sparkline points and change of `key` over the last `days`.
+ * Returns null when there isn't at least two days of history for it.
+ */
+export function trendFor(history, key, days, now) {
+  const since = new Date(now.getTime() - days * DAY_MS).toISOString().slice(0, 10);
+  const withKey = history.filter((h) => Number.isFinite(h[key]));
+
+  // Start from the last snapshot at or before the window, so the delta covers the full period
+  const startIdx = withKey.findLastIndex((h) => h.date <= since);
+  const window = withKey.slice(Math.max(0, startIdx));
+  if (window.length < 2) return null;
+
+  const points = window.map((h) => h[key]);
+  return { points, delta: points[points.length - 1] - points[0] };
+}
+
+/**
+ * "+42 this month", "-3 this week", "+7 in 90d" (`fmt` formats the amount)
+ */
+export function deltaLabel(delta, days, fmt = String, i18n = createI18n()) {
+  const sign = delta > 0 ? "+" : delta < 0 ? "-" : "±";
+  const key = { 7: "delta.week", 30: "delta.month", 365: "delta.year" }[days] || "delta.days";
+  return i18n.t(key, { delta: `${sign}${fmt(Math.abs(delta))}`, days: i18n.number(days) });
+}
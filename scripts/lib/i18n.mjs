@@ -0,0 +1,757 @@
+// Card text in the configured locale: message catalogs for every label the
+// generators write, plus number, duration and date formatting through Intl.
+//
+//   const i18n = createI18n("de");
+//   i18n.t("total", { value: "1.234" })          => "Gesamt: 1.234"
+//   i18n.t("days", { count: 3 })                 => "3 Tage"
+//   i18n.duration(125)                           => "2 Std. 5 Min."
+//
+// Messages are plain strings with {name} placeholders, or { one, other, ... }
+// plural forms picked with Intl.PluralRules; `{n}` in a plural message is the
+// formatted `count` unless `n` is passed. Keys a catalog lacks fall back to English.
+// Dates always use the Gregorian calendar, so they line up with GitHub's calendar.
+
+// Intl locale, text direction and unit style per catalog. English keeps the
+// narrow units ("2h 5m") the cards have always used.
+const LOCALE_INFO = {
+  en: { tag: "en-US", dir: "ltr", units: "narrow" },
+  de: { tag: "de-DE", dir: "ltr", units: "short" },
+  fa: { tag: "fa-IR-u-ca-gregory", dir: "rtl", units: "short" },
+  hi: { tag: "hi-IN", dir: "ltr", units: "short" },
+};
+
+export const LOCALES = Object.keys(LOCALE_INFO);
+
+const EN = {
+  other: "Other",
+  total: "Total: {value}",
+  top: "Top: {value}",
+  share: "{name} ({pct})",
+  percent: "{n}%",
+  listSeparator: ", ",
+  updatedHourly: "Updated hourly",
+  allTime: "All-time ({range})",
+  sinceYear: "since {year}",
+  yearRange: "{from}–{to}",
+  includesPrivate: "Includes private repositories",
+  members: { one: "{n} member", other: "{n} members" },
+  contributions: { one: "{n} contribution", other: "{n} contributions" },
+  stars: { one: "{n} star", other: "{n} stars" },
+  langs: { one: "{n} lang", other: "{n} langs" },
+  repos: { one: "{n} repo", other: "{n} repos" },
+  days: { one: "{n} day", other: "{n} days" },
+  hours: { one: "{n} hr", other: "{n} hrs" },
+
+  "stat.reposTotal": "Repositories (Total)",
+  "stat.starsTotal": "Stars (Total)",
+  "stat.followers": "Followers",
+  "stat.commits": "Commits (since {fromYear})",
+  "stat.prs": "Pull Requests (since {fromYear})",
+  "stat.issues": "Issues (since {fromYear})",
+  "stat.reviews": "Reviews (since {fromYear})",
+  "stat.contribTotal": "Contributions (since {fromYear})",
+  "statShort.reposTotal": "Repositories",
+  "statShort.starsTotal": "Stars",
+  "statShort.followers": "Followers",
+  "statShort.commits": "Commits",
+  "statShort.prs": "Pull Requests",
+  "statShort.issues": "Issues",
+  "statShort.reviews": "Reviews",
+  "statShort.contribTotal": "Contributions",
+
+  "activity.commits": "Commits",
+  "activity.prs": "Pull Requests",
+  "activity.prsShort": "PRs",
+  "activity.issues": "Issues",
+  "activity.reviews": "Reviews",
+
+  "signal.commits": "Commits",
+  "signal.prs": "Pull requests",
+  "signal.issues": "Issues",
+  "signal.reviews": "Reviews",
+  "signal.stars": "Stars",
+  "signal.repos": "Repositories",
+  "grade.breakdown": "Grade {letter} • {points}/{max} points ({model} model, log-scaled against targets)",
+  "grade.preset.default": "default",
+  "grade.preset.maintainer": "maintainer",
+
+  "langs.bytes": "Based on repository size",
+  "langs.repos": "Based on number of repositories",
+  "langs.blend": "Based on size and repo count (√-damped)",
+  "langs.public": "public + private",
+  "langs.publicForks": "public + private + forks",
+
+  "heatmap.lastYear": "Last 12 months",
+  "heatmap.lastWeeks": { one: "Last {n} week", other: "Last {n} weeks" },
+  "heatmap.busiest": "Busiest day: {date} ({n})",
+  "heatmap.longest": "Longest streak: {value}",
+  "heatmap.less": "Less",
+  "heatmap.more": "More",
+
+  "repos.pushed": "Most recently pushed",
+  "repos.stars": "Ranked by stars",
+  "repos.noDescription": "No description",
+
+  "streak.active": "Active on {pct} of days",
+  "streak.current": "Current streak",
+  "streak.longest": "Longest streak",
+  "streak.days": "Contribution days (since {year})",
+  "streak.of": { one: "of {n} day", other: "of {n} days" },
+
+  "metric.contribTotal": { one: "{n} contribution", other: "{n} contributions" },
+  "metric.commits": { one: "{n} commit", other: "{n} commits" },
+  "metric.prs": { one: "{n} pull request", other: "{n} pull requests" },
+  "metric.issues": { one: "{n} issue", other: "{n} issues" },
+  "metric.reviews": { one: "{n} review", other: "{n} reviews" },
+  "metricTitle.contribTotal": "Contributions",
+  "metricTitle.commits": "Commits",
+  "metricTitle.prs": "Pull requests",
+  "metricTitle.issues": "Issues",
+  "metricTitle.reviews": "Reviews",
+
+  "delta.week": "{delta} this week",
+  "delta.month": "{delta} this month",
+  "delta.year": "{delta} this year",
+  "delta.days": "{delta} in {days}d",
+
+  "waka.range.last_7_days": "Last 7 days",
+  "waka.range.last_30_days": "Last 30 days",
+  "waka.range.last_6_months": "Last 6 months",
+  "waka.range.last_year": "Last year",
+  "waka.range.all_time": "All time",
+  "waka.tab.last_7_days": "7 days",
+  "waka.tab.last_30_days": "30 days",
+  "waka.tab.last_6_months": "6 months",
+  "waka.tab.last_year": "1 year",
+  "waka.tab.all_time": "All time",
+  "waka.dailyAvg": "{value}/day avg",
+  "waka.bestDay": "Best day {date} ({value})",
+  "waka.lastDays": { one: "Last {n} day", other: "Last {n} days" },
+  "waka.activeDays": { one: "{n} active day", other: "{n} active days" },
+  "waka.avg": "avg {value}/day",
+  "waka.private.projects": "Private project {n}",
+  "waka.private.machines": "Private machine {n}",
+  "waka.private.dependencies": "Private dependency {n}",
+  "waka.private.categories": "Private category {n}",
+  "waka.private.languages": "Private language {n}",
+  "waka.private.editors": "Private editor {n}",
+  "waka.private.operating_systems": "Private OS {n}",
+  "waka.private.item": "Private item {n}",
+
+  "alt.grade": "Grade {value}",
+  "alt.ranked": "Ranked: {list}",
+  "alt.more": "{list} and {n} more",
+  "alt.series": "Series: {list}",
+  "alt.repoStars": "{name} ({stars} stars)",
+  "col.metric": "Metric",
+  "col.value": "Value",
+  "col.note": "Note",
+  "col.grade": "Grade",
+  "col.name": "Name",
+  "col.share": "Share",
+  "col.month": "Month",
+  "col.contributions": "Contributions",
+  "col.day": "Day",
+  "col.total": "Total",
+  "col.repository": "Repository",
+  "col.language": "Language",
+  "col.stars": "Stars",
+  "col.forks": "Forks",
+  "col.lastPush": "Last push",
+  "col.description": "Description",
+
+  "dashboard.cards": { one: "{n} card: {list}.", other: "{n} cards: {list}." },
+  "readme.updated": "Last updated: {when} UTC",
+};
+
+const DE = {
+  other: "Sonstige",
+  total: "Gesamt: {value}",
+  top: "Top: {value}",
+  share: "{name} ({pct})",
+  percent: "{n} %",
+  listSeparator: ", ",
+  updatedHourly: "Stündlich aktualisiert",
+  allTime: "Gesamt ({range})",
+  sinceYear: "seit {year}",
+  yearRange: "{from}–{to}",
+  includesPrivate: "Inklusive privater Repositorys",
+  members: { one: "{n} Mitglied", other: "{n} Mitglieder" },
+  contributions: { one: "{n} Beitrag", other: "{n} Beiträge" },
+  stars: { one: "{n} Stern", other: "{n} Sterne" },
+  langs: { one: "{n} Sprache", other: "{n} Sprachen" },
+  repos: { one: "{n} Repo", other: "{n} Repos" },
+  days: { one: "{n} Tag", other: "{n} Tage" },
+  hours: { one: "{n} Std.", other: "{n} Std." },
+
+  "stat.reposTotal": "Repositorys (gesamt)",
+  "stat.starsTotal": "Sterne (gesamt)",
+  "stat.followers": "Follower",
+  "stat.commits": "Commits (seit {fromYear})",
+  "stat.prs": "Pull Requests (seit {fromYear})",
+  "stat.issues": "Issues (seit {fromYear})",
+  "stat.reviews": "Reviews (seit {fromYear})",
+  "stat.contribTotal": "Beiträge (seit {fromYear})",
+  "statShort.reposTotal": "Repositorys",
+  "statShort.starsTotal": "Sterne",
+  "statShort.followers": "Follower",
+  "statShort.commits": "Commits",
+  "statShort.prs": "Pull Requests",
+  "statShort.issues": "Issues",
+  "statShort.reviews": "Reviews",
+  "statShort.contribTotal": "Beiträge",
+
+  "activity.commits": "Commits",
+  "activity.prs": "Pull Requests",
+  "activity.prsShort": "PRs",
+  "activity.issues": "Issues",
+  "activity.reviews": "Reviews",
+
+  "signal.commits": "Commits",
+  "signal.prs": "Pull Requests",
+  "signal.issues": "Issues",
+  "signal.reviews": "Reviews",
+  "signal.stars": "Sterne",
+  "signal.repos": "Repositorys",
+  "grade.breakdown": "Note {letter} • {points}/{max} Punkte (Modell {model}, logarithmisch gegen Zielwerte)",
+  "grade.preset.default": "Standard",
+  "grade.preset.maintainer": "Maintainer",
+
+  "langs.bytes": "Nach Repository-Größe",
+  "langs.repos": "Nach Anzahl der Repositorys",
+  "langs.blend": "Nach Größe und Repo-Anzahl (√-gedämpft)",
+  "langs.public": "öffentlich + privat",
+  "langs.publicForks": "öffentlich + privat + Forks",
+
+  "heatmap.lastYear": "Letzte 12 Monate",
+  "heatmap.lastWeeks": { one: "Letzte {n} Woche", other: "Letzte {n} Wochen" },
+  "heatmap.busiest": "Aktivster Tag: {date} ({n})",
+  "heatmap.longest": "Längste Serie: {value}",
+  "heatmap.less": "Weniger",
+  "heatmap.more": "Mehr",
+
+  "repos.pushed": "Zuletzt gepusht",
+  "repos.stars": "Nach Sternen sortiert",
+  "repos.noDescription": "Keine Beschreibung",
+
+  "streak.active": "An {pct} der Tage aktiv",
+  "streak.current": "Aktuelle Serie",
+  "streak.longest": "Längste Serie",
+  "streak.days": "Tage mit Beiträgen (seit {year})",
+  "streak.of": { one: "von {n} Tag", other: "von {n} Tagen" },
+
+  "metric.contribTotal": { one: "{n} Beitrag", other: "{n} Beiträge" },
+  "metric.commits": { one: "{n} Commit", other: "{n} Commits" },
+  "metric.prs": { one: "{n} Pull Request", other: "{n} Pull Requests" },
+  "metric.issues": { one: "{n} Issue", other: "{n} Issues" },
+  "metric.reviews": { one: "{n} Review", other: "{n} Reviews" },
+  "metricTitle.contribTotal": "Beiträge",
+  "metricTitle.commits": "Commits",
+  "metricTitle.prs": "Pull Requests",
+  "metricTitle.issues": "Issues",
+  "metricTitle.reviews": "Reviews",
+
+  "delta.week": "{delta} diese Woche",
+  "delta.month": "{delta} diesen Monat",
+  "delta.year": "{delta} dieses Jahr",
+  "delta.days": "{delta} in {days} Tagen",
+
+  "waka.range.last_7_days": "Letzte 7 Tage",
+  "waka.range.last_30_days": "Letzte 30 Tage",
+  "waka.range.last_6_months": "Letzte 6 Monate",
+  "waka.range.last_year": "Letztes Jahr",
+  "waka.range.all_time": "Gesamte Zeit",
+  "waka.tab.last_7_days": "7 Tage",
+  "waka.tab.last_30_days": "30 Tage",
+  "waka.tab.last_6_months": "6 Monate",
+  "waka.tab.last_year": "1 Jahr",
+  "waka.tab.all_time": "Gesamt",
+  "waka.dailyAvg": "Ø {value}/Tag",
+  "waka.bestDay": "Bester Tag {date} ({value})",
+  "waka.lastDays": { one: "Letzter {n} Tag", other: "Letzte {n} Tage" },
+  "waka.activeDays": { one: "{n} aktiver Tag", other: "{n} aktive Tage" },
+  "waka.avg": "Ø {value}/Tag",
+  "waka.private.projects": "Privates Projekt {n}",
+  "waka.private.machines": "Privater Rechner {n}",
+  "waka.private.dependencies": "Private Abhängigkeit {n}",
+  "waka.private.categories": "Private Kategorie {n}",
+  "waka.private.languages": "Private Sprache {n}",
+  "waka.private.editors": "Privater Editor {n}",
+  "waka.private.operating_systems": "Privates OS {n}",
+  "waka.private.item": "Privater Eintrag {n}",
+
+  "alt.grade": "Note {value}",
+  "alt.ranked": "Rangfolge: {list}",
+  "alt.more": "{list} und {n} weitere",
+  "alt.series": "Reihen: {list}",
+  "alt.repoStars": "{name} ({stars} Sterne)",
+  "col.metric": "Kennzahl",
+  "col.value": "Wert",
+  "col.note": "Hinweis",
+  "col.grade": "Note",
+  "col.name": "Name",
+  "col.share": "Anteil",
+  "col.month": "Monat",
+  "col.contributions": "Beiträge",
+  "col.day": "Tag",
+  "col.total": "Gesamt",
+  "col.repository": "Repository",
+  "col.language": "Sprache",
+  "col.stars": "Sterne",
+  "col.forks": "Forks",
+  "col.lastPush": "Letzter Push",
+  "col.description": "Beschreibung",
+
+  "dashboard.cards": { one: "{n} Karte: {list}.", other: "{n} Karten: {list}." },
+  "readme.updated": "Zuletzt aktualisiert: {when} UTC",
+};
+
+const FA = {
+  other: "سایر",
+  total: "مجموع: {value}",
+  top: "برتر: {value}",
+  share: "{name} ({pct})",
+  percent: "{n}٪",
+  listSeparator: "، ",
+  updatedHourly: "به‌روزرسانی ساعتی",
+  allTime: "همه‌ی زمان‌ها ({range})",
+  sinceYear: "از {year}",
+  yearRange: "{from}–{to}",
+  includesPrivate: "شامل مخزن‌های خصوصی",
+  members: "{n} عضو",
+  contributions: "{n} مشارکت",
+  stars: "{n} ستاره",
+  langs: "{n} زبان",
+  repos: "{n} مخزن",
+  days: "{n} روز",
+  hours: "{n} ساعت",
+
+  "stat.reposTotal": "مخزن‌ها (کل)",
+  "stat.starsTotal": "ستاره‌ها (کل)",
+  "stat.followers": "دنبال‌کننده‌ها",
+  "stat.commits": "کامیت‌ها (از {fromYear})",
+  "stat.prs": "درخواست‌های ادغام (از {fromYear})",
+  "stat.issues": "مسئله‌ها (از {fromYear})",
+  "stat.reviews": "بازبینی‌ها (از {fromYear})",
+  "stat.contribTotal": "مشارکت‌ها (از {fromYear})",
+  "statShort.reposTotal": "مخزن‌ها",
+  "statShort.starsTotal": "ستاره‌ها",
+  "statShort.followers": "دنبال‌کننده‌ها",
+  "statShort.commits": "کامیت‌ها",
+  "statShort.prs": "درخواست‌های ادغام",
+  "statShort.issues": "مسئله‌ها",
+  "statShort.reviews": "بازبینی‌ها",
+  "statShort.contribTotal": "مشارکت‌ها",
+
+  "activity.commits": "کامیت‌ها",
+  "activity.prs": "درخواست‌های ادغام",
+  "activity.prsShort": "درخواست‌ها",
+  "activity.issues": "مسئله‌ها",
+  "activity.reviews": "بازبینی‌ها",
+
+  "signal.commits": "کامیت‌ها",
+  "signal.prs": "درخواست‌های ادغام",
+  "signal.issues": "مسئله‌ها",
+  "signal.reviews": "بازبینی‌ها",
+  "signal.stars": "ستاره‌ها",
+  "signal.repos": "مخزن‌ها",
+  "grade.breakdown": "نمره‌ی {letter} • {points}/{max} امتیاز (مدل {model}، لگاریتمی نسبت به اهداف)",
+  "grade.preset.default": "پیش‌فرض",
+  "grade.preset.maintainer": "نگهدارنده",
+
+  "langs.bytes": "بر اساس حجم مخزن",
+  "langs.repos": "بر اساس تعداد مخزن‌ها",
+  "langs.blend": "بر اساس حجم و تعداد مخزن (تعدیل‌شده با √)",
+  "langs.public": "عمومی + خصوصی",
+  "langs.publicForks": "عمومی + خصوصی + فورک‌ها",
+
+  "heatmap.lastYear": "۱۲ ماه گذشته",
+  "heatmap.lastWeeks": "{n} هفته‌ی گذشته",
+  "heatmap.busiest": "پرکارترین روز: {date} ({n})",
+  "heatmap.longest": "طولانی‌ترین پیاپی: {value}",
+  "heatmap.less": "کمتر",
+  "heatmap.more": "بیشتر",
+
+  "repos.pushed": "به‌ترتیب آخرین push",
+  "repos.stars": "به‌ترتیب ستاره",
+  "repos.noDescription": "بدون توضیحات",
+
+  "streak.active": "فعال در {pct} روزها",
+  "streak.current": "روزهای پیاپی فعلی",
+  "streak.longest": "طولانی‌ترین پیاپی",
+  "streak.days": "روزهای مشارکت (از {year})",
+  "streak.of": "از {n} روز",
+
+  "metric.contribTotal": "{n} مشارکت",
+  "metric.commits": "{n} کامیت",
+  "metric.prs": "{n} درخواست ادغام",
+  "metric.issues": "{n} مسئله",
+  "metric.reviews": "{n} بازبینی",
+  "metricTitle.contribTotal": "مشارکت‌ها",
+  "metricTitle.commits": "کامیت‌ها",
+  "metricTitle.prs": "درخواست‌های ادغام",
+  "metricTitle.issues": "مسئله‌ها",
+  "metricTitle.reviews": "بازبینی‌ها",
+
+  "delta.week": "{delta} این هفته",
+  "delta.month": "{delta} این ماه",
+  "delta.year": "{delta} امسال",
+  "delta.days": "{delta} در {days} روز",
+
+  "waka.range.last_7_days": "۷ روز گذشته",
+  "waka.range.last_30_days": "۳۰ روز گذشته",
+  "waka.range.last_6_months": "۶ ماه گذشته",
+  "waka.range.last_year": "سال گذشته",
+  "waka.range.all_time": "همه‌ی زمان‌ها",
+  "waka.tab.last_7_days": "۷ روز",
+  "waka.tab.last_30_days": "۳۰ روز",
+  "waka.tab.last_6_months": "۶ ماه",
+  "waka.tab.last_year": "۱ سال",
+  "waka.tab.all_time": "همه",
+  "waka.dailyAvg": "میانگین {value} در روز",
+  "waka.bestDay": "بهترین روز {date} ({value})",
+  "waka.lastDays": "{n} روز گذشته",
+  "waka.activeDays": "{n} روز فعال",
+  "waka.avg": "میانگین {value} در روز",
+  "waka.private.projects": "پروژه‌ی خصوصی {n}",
+  "waka.private.machines": "دستگاه خصوصی {n}",
+  "waka.private.dependencies": "وابستگی خصوصی {n}",
+  "waka.private.categories": "دسته‌ی خصوصی {n}",
+  "waka.private.languages": "زبان خصوصی {n}",
+  "waka.private.editors": "ویرایشگر خصوصی {n}",
+  "waka.private.operating_systems": "سیستم‌عامل خصوصی {n}",
+  "waka.private.item": "مورد خصوصی {n}",
+
+  "alt.grade": "نمره‌ی {value}",
+  "alt.ranked": "رتبه‌بندی: {list}",
+  "alt.more": "{list} و {n} مورد دیگر",
+  "alt.series": "سری‌ها: {list}",
+  "alt.repoStars": "{name} ({stars} ستاره)",
+  "col.metric": "معیار",
+  "col.value": "مقدار",
+  "col.note": "یادداشت",
+  "col.grade": "نمره",
+  "col.name": "نام",
+  "col.share": "سهم",
+  "col.month": "ماه",
+  "col.contributions": "مشارکت‌ها",
+  "col.day": "روز",
+  "col.total": "مجموع",
+  "col.repository": "مخزن",
+  "col.language": "زبان",
+  "col.stars": "ستاره‌ها",
+  "col.forks": "فورک‌ها",
+  "col.lastPush": "آخرین push",
+  "col.description": "توضیحات",
+
+  "dashboard.cards": "{n} کارت: {list}.",
+  "readme.updated": "آخرین به‌روزرسانی: {when} UTC",
+};
+
+const HI = {
+  other: "अन्य",
+  total: "कुल: {value}",
+  top: "शीर्ष: {value}",
+  share: "{name} ({pct})",
+  percent: "{n}%",
+  listSeparator: ", ",
+  updatedHourly: "हर घंटे अपडेट",
+  allTime: "अब तक ({range})",
+  sinceYear: "{year} से",
+  yearRange: "{from}–{to}",
+  includesPrivate: "निजी रिपॉज़िटरी सहित",
+  members: "{n} सदस्य",
+  contributions: "{n} योगदान",
+  stars: "{n} स्टार",
+  langs: { one: "{n} भाषा", other: "{n} भाषाएँ" },
+  repos: "{n} रिपॉज़िटरी",
+  days: "{n} दिन",
+  hours: { one: "{n} घंटा", other: "{n} घंटे" },
+
+  "stat.reposTotal": "रिपॉज़िटरी (कुल)",
+  "stat.starsTotal": "स्टार (कुल)",
+  "stat.followers": "फ़ॉलोअर्स",
+  "stat.commits": "कमिट ({fromYear} से)",
+  "stat.prs": "पुल रिक्वेस्ट ({fromYear} से)",
+  "stat.issues": "इश्यू ({fromYear} से)",
+  "stat.reviews": "रिव्यू ({fromYear} से)",
+  "stat.contribTotal": "योगदान ({fromYear} से)",
+  "statShort.reposTotal": "रिपॉज़िटरी",
+  "statShort.starsTotal": "स्टार",
+  "statShort.followers": "फ़ॉलोअर्स",
+  "statShort.commits": "कमिट",
+  "statShort.prs": "पुल रिक्वेस्ट",
+  "statShort.issues": "इश्यू",
+  "statShort.reviews": "रिव्यू",
+  "statShort.contribTotal": "योगदान",
+
+  "activity.commits": "कमिट",
+  "activity.prs": "पुल रिक्वेस्ट",
+  "activity.prsShort": "PR",
+  "activity.issues": "इश्यू",
+  "activity.reviews": "रिव्यू",
+
+  "signal.commits": "कमिट",
+  "signal.prs": "पुल रिक्वेस्ट",
+  "signal.issues": "इश्यू",
+  "signal.reviews": "रिव्यू",
+  "signal.stars": "स्टार",
+  "signal.repos": "रिपॉज़िटरी",
+  "grade.breakdown": "ग्रेड {letter} • {points}/{max} अंक ({model} मॉडल, लक्ष्यों के सापेक्ष लॉग-स्केल)",
+  "grade.preset.default": "डिफ़ॉल्ट",
+  "grade.preset.maintainer": "मेंटेनर",
+
+  "langs.bytes": "रिपॉज़िटरी के आकार के आधार पर",
+  "langs.repos": "रिपॉज़िटरी की संख्या के आधार पर",
+  "langs.blend": "आकार और रिपॉज़िटरी संख्या के आधार पर (√-संतुलित)",
+  "langs.public": "सार्वजनिक + निजी",
+  "langs.publicForks": "सार्वजनिक + निजी + फ़ोर्क",
+
+  "heatmap.lastYear": "पिछले 12 महीने",
+  "heatmap.lastWeeks": "पिछले {n} सप्ताह",
+  "heatmap.busiest": "सबसे व्यस्त दिन: {date} ({n})",
+  "heatmap.longest": "सबसे लंबी स्ट्रीक: {value}",
+  "heatmap.less": "कम",
+  "heatmap.more": "अधिक",
+
+  "repos.pushed": "हाल में पुश के अनुसार",
+  "repos.stars": "स्टार के अनुसार",
+  "repos.noDescription": "कोई विवरण नहीं",
+
+  "streak.active": "{pct} दिनों में सक्रिय",
+  "streak.current": "मौजूदा स्ट्रीक",
+  "streak.longest": "सबसे लंबी स्ट्रीक",
+  "streak.days": "योगदान वाले दिन ({year} से)",
+  "streak.of": "{n} दिन में से",
+
+  "metric.contribTotal": "{n} योगदान",
+  "metric.commits": "{n} कमिट",
+  "metric.prs": "{n} पुल रिक्वेस्ट",
+  "metric.issues": "{n} इश्यू",
+  "metric.reviews": "{n} रिव्यू",
+  "metricTitle.contribTotal": "योगदान",
+  "metricTitle.commits": "कमिट",
+  "metricTitle.prs": "पुल रिक्वेस्ट",
+  "metricTitle.issues": "इश्यू",
+  "metricTitle.reviews": "रिव्यू",
+
+  "delta.week": "इस सप्ताह {delta}",
+  "delta.month": "इस महीने {delta}",
+  "delta.year": "इस साल {delta}",
+  "delta.days": "{days} दिनों में {delta}",
+
+  "waka.range.last_7_days": "पिछले 7 दिन",
+  "waka.range.last_30_days": "पिछले 30 दिन",
+  "waka.range.last_6_months": "पिछले 6 महीने",
+  "waka.range.last_year": "पिछला साल",
+  "waka.range.all_time": "अब तक",
+  "waka.tab.last_7_days": "7 दिन",
+  "waka.tab.last_30_days": "30 दिन",
+  "waka.tab.last_6_months": "6 महीने",
+  "waka.tab.last_year": "1 साल",
+  "waka.tab.all_time": "अब तक",
+  "waka.dailyAvg": "{value}/दिन औसत",
+  "waka.bestDay": "सबसे अच्छा दिन {date} ({value})",
+  "waka.lastDays": "पिछले {n} दिन",
+  "waka.activeDays": "{n} सक्रिय दिन",
+  "waka.avg": "औसत {value}/दिन",
+  "waka.private.projects": "निजी प्रोजेक्ट {n}",
+  "waka.private.machines": "निजी मशीन {n}",
+  "waka.private.dependencies": "निजी डिपेंडेंसी {n}",
+  "waka.private.categories": "निजी श्रेणी {n}",
+  "waka.private.languages": "निजी भाषा {n}",
+  "waka.private.editors": "निजी एडिटर {n}",
+  "waka.private.operating_systems": "निजी OS {n}",
+  "waka.private.item": "निजी आइटम {n}",
+
+  "alt.grade": "ग्रेड {value}",
+  "alt.ranked": "रैंकिंग: {list}",
+  "alt.more": "{list} और {n} अन्य",
+  "alt.series": "सीरीज़: {list}",
+  "alt.repoStars": "{name} ({stars} स्टार)",
+  "col.metric": "मीट्रिक",
+  "col.value": "मान",
+  "col.note": "टिप्पणी",
+  "col.grade": "ग्रेड",
+  "col.name": "नाम",
+  "col.share": "हिस्सा",
+  "col.month": "महीना",
+  "col.contributions": "योगदान",
+  "col.day": "दिन",
+  "col.total": "कुल",
+  "col.repository": "रिपॉज़िटरी",
+  "col.language": "भाषा",
+  "col.stars": "स्टार",
+  "col.forks": "फ़ोर्क",
+  "col.lastPush": "अंतिम पुश",
+  "col.description": "विवरण",
+
+  "dashboard.cards": "{n} कार्ड: {list}.",
+  "readme.updated": "अंतिम अपडेट: {when} UTC",
+};
+
+const CATALOGS = { en: EN, de: DE, fa: FA, hi: HI };
+
+// Short units for compact numbers where Intl's don't fit: English "4.2k" (not "4.2K"),
+// and German "4,2 Tsd." (Intl keeps thousands as "4210"). Other locales use Intl's.
+const COMPACT_UNITS = {
+  en: [
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "k"],
+  ],
+  de: [
+    [1e9, "\u00a0Mrd."],
+    [1e6, "\u00a0Mio."],
+    [1e3, "\u00a0Tsd."],
+  ],
+};
+
+function formatter(cache, key, make) {
+  if (!cache.has(key)) cache.set(key, make());
+  return cache.get(key);
+}
+
+const instances = new Map();
+
+/**
+ * Messages and formatters for one of LOCALES (cached per locale).
+ */
+export function createI18n(locale = "en") {
+  if (instances.has(locale)) return instances.get(locale);
+  const info = LOCALE_INFO[locale];
+  if (!info) throw new Error(`Unknown locale "${locale}" (one of: ${LOCALES.join(", ")})`);
+
+  const { tag, dir, units } = info;
+  const catalog = CATALOGS[locale];
+  const cache = new Map();
+  const plurals = new Intl.PluralRules(tag);
+
+  const numberFmt = (digits, min = digits) =>
+    formatter(cache, `n${min}-${digits}`, () => new Intl.NumberFormat(tag, { minimumFractionDigits: min, maximumFractionDigits: digits }));
+  const unitFmt = (unit) => formatter(cache, unit, () => new Intl.NumberFormat(tag, { style: "unit", unit, unitDisplay: units }));
+  const dateFmt = (opts) =>
+    formatter(cache, JSON.stringify(opts), () => new Intl.DateTimeFormat(tag, { timeZone: "UTC", ...opts }));
+
+  const number = (n) => numberFmt(0).format(Number(n || 0));
+
+  // Rounded with toFixed() first, so every locale shows the digits the English cards did
+  const decimal = (n, digits, min = digits) => numberFmt(digits, min).format(Number(Number(n || 0).toFixed(digits)) + 0);
+
+  // A Gregorian date "YYYY-MM-DD" as a UTC Date
+  const day = (date) => new Date(`${date}T00:00:00Z`);
+
+  const i18n = {
+    locale,
+    dir,
+
+    /**
+     * Message `key` with its placeholders filled from `vars`.
+     */
+    t(key, vars = {}) {
+      let msg = catalog[key] ?? EN[key];
+      if (msg === undefined) throw new Error(`Missing message "${key}"`);
+      if (typeof msg === "object") msg = msg[plurals.select(Number(vars.count))] ?? msg.other;
+      const filled = { ...vars, n: vars.n ?? (vars.count !== undefined ? number(vars.count) : undefined) };
+      return msg.replace(/\{(\w+)\}/g, (m, k) => (filled[k] !== undefined ? String(filled[k]) : m));
+    },
+
+    /** 1234567 => "1,234,567" (en), "1.234.567" (de), "۱٬۲۳۴٬۵۶۷" (fa), "12,34,567" (hi) */
+    number,
+
+    /** Up to `digits` decimals (at least `min`), e.g. points "12.3" */
+    decimal,
+
+    /** A year without digit grouping, "2021" */
+    year: (y) => formatter(cache, "year", () => new Intl.NumberFormat(tag, { useGrouping: false })).format(Number(y)),
+
+    /**
+     * Short numbers for compact cards: 950 => "950", 4210 => "4.2k" ("4,2 Tsd." in de),
+     * 12345 => "12k", 1250000 => "1.3M"; other locales use Intl's compact notation.
+     */
+    compactNumber(n) {
+      const x = Number(n || 0);
+      const abs = Math.abs(x);
+      if (abs < 1000) return number(x);
+      if (COMPACT_UNITS[locale]) {
+        const [size, unit] = COMPACT_UNITS[locale].find(([size]) => abs >= size);
+        const v = x / size;
+        return `${Math.abs(v) < 10 ? decimal(v, 1, 0) : number(Math.round(v))}${unit}`;
+      }
+      return formatter(cache, "compact", () => new Intl.NumberFormat(tag, { notation: "compact", maximumFractionDigits: 1 })).format(x);
+    },
+
+    /** 12.3456 => "12.35%" with `digits` decimals */
+    percent: (pct, digits = 2) => i18n.t("percent", { n: decimal(pct, digits) }),
+
+    /** Minutes as hours and minutes: 125 => "2h 5m", 45 => "45m", 180 => "3h" */
+    duration(mins) {
+      const h = Math.floor(mins / 60);
+      const m = mins % 60;
+      if (h <= 0) return unitFmt("minute").format(m);
+      if (m === 0) return unitFmt("hour").format(h);
+      return `${unitFmt("hour").format(h)} ${unitFmt("minute").format(m)}`;
+    },
+
+    /**
+     * "2026-03-04" => "Mar 4, 2026", "Mar 4" with year: false or
+     * "Wed, Mar 4, 2026" with weekday: true.
+     */
+    date(date, { year = true, weekday = false } = {}) {
+      return dateFmt({
+        ...(weekday ? { weekday: "short" } : {}),
+        month: "short",
+        day: "numeric",
+        ...(year ? { year: "numeric" } : {}),
+      }).format(day(date));
+    },
+
+    /** Short month name of a date, "Mar" */
+    month: (date) => dateFmt({ month: "short" }).format(day(date)),
+
+    /** Weekday name (0 = Sunday) in Intl's "short" or "narrow" width, "Mon" / "M" */
+    weekday: (index, width = "short") => dateFmt({ weekday: width }).format(day(`2023-01-0${index + 1}`)),
+
+    /** Date and time in UTC, "Oct 19, 2026, 12:00" */
+    dateTime: (when) =>
+      dateFmt({ month: "short", day: "numeric", year: "numeric", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(when),
+
+    /**
+     * Time ago in a unit of Intl.RelativeTimeFormat: (-3, "day") => "3d ago",
+     * (0, "day") => "today", (-2, "month") => "2mo ago".
+     */
+    relative: (value, unit) =>
+      formatter(cache, `rel-${unit}`, () => new Intl.RelativeTimeFormat(tag, { style: "narrow", numeric: unit === "day" ? "auto" : "always" })).format(
+        value,
+        unit
+      ),
+
+    /**
+     * Numbers in `text` as this locale writes them, in ASCII digits without grouping:
+     * "3.315" => "3315" and "12,35 %" => "12.35 %" (de), "۱۲٫۳۵٪" => "12.35٪" (fa).
+     * For comparing rendered text across runs, see output.mjs.
+     */
+    asciiNumbers(text) {
+      const { pattern, digits, group, decimal: point } = formatter(cache, "numerals", () => {
+        const parts = new Intl.NumberFormat(tag).formatToParts(12345.6);
+        const sep = (type) => parts.find((p) => p.type === type).value;
+        const digits = [...Array(10).keys()].map((d) => numberFmt(0).format(d)).join("");
+        const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const d = `[${digits}]`;
+        const pattern = new RegExp(`${d}+(?:${esc(sep("group"))}${d}+)*(?:${esc(sep("decimal"))}${d}+)?`, "g");
+        return { pattern, digits, group: sep("group"), decimal: sep("decimal") };
+      });
+      return String(text).replace(pattern, (n) =>
+        Array.from(n)
+          .map((ch) => (ch === group ? "" : ch === point ? "." : String(digits.indexOf(ch))))
+          .join("")
+      );
+    },
+
+    /** "a, b, c" with the locale's comma */
+    list: (items) => items.join(i18n.t("listSeparator")),
+  };
+
+  instances.set(locale, i18n);
+  return i18n;
+}
@@ -0,0 +1,111 @@
+// Text measurement for the card font stack (ui-sans-serif, system-ui).
+//
+// SVG text can't be measured at render time, so widths come from a bundled table
+// of advance widths (1/1000 em) for printable ASCII in the regular and bold cuts
+// of a Helvetica-class grotesque. San Francisco, Segoe UI and Roboto all run a bit
+// narrower, so the estimates err on the wide side and a fitted label never overlaps.
+
+// Advance widths for " " (0x20) through "~" (0x7e)
+const REGULAR = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Everything outside the table: full-width scripts and emoji take a whole em,
+// Arabic and Devanagari letters their fonts' typical advance, other symbols
+// (★, arrows, dashes) a generous average
+const WIDE = 1000;
+const ARABIC = 560;
+const DEVANAGARI = 640;
+const SYMBOL = 780;
+const ELLIPSIS = "…";
+
+function isWide(cp) {
+  return (
+    (cp >= 0x1100 && cp <= 0x115f) || // Hangul Jamo
+    (cp >= 0x2e80 && cp <= 0xa4cf) || // CJK, Kana, Yi
+    (cp >= 0xac00 && cp <= 0xd7a3) || // Hangul syllables
+    (cp >= 0xf900 && cp <= 0xfaff) || // CJK compatibility
+    (cp >= 0xfe30 && cp <= 0xfe4f) ||
+    (cp >= 0xff00 && cp <= 0xff60) || // full-width forms
+    cp >= 0x1f000 // emoji and pictographs
+  );
+}
+
+function isArabic(cp) {
+  return (cp >= 0x0600 && cp <= 0x06ff) || (cp >= 0x0750 && cp <= 0x077f) || (cp >= 0xfb50 && cp <= 0xfdff) || (cp >= 0xfe70 && cp <= 0xfeff);
+}
+
+function charWidth(ch, table) {
+  const cp = ch.codePointAt(0);
+  if (cp >= 0x20 && cp <= 0x7e) return table[cp - 0x20];
+  if (ch === ELLIPSIS) return 1000;
+  if (cp === 0xa0) return table[0]; // no-break space
+  if (cp === 0xfe0f || (cp >= 0x200c && cp <= 0x200f)) return 0; // variation selector, zero-width (non-)joiner, direction marks
+  if (/\p{Mn}/u.test(ch)) return 0; // combining marks sit on the letter before them
+  if (isWide(cp)) return WIDE;
+  if (isArabic(cp)) return ARABIC;
+  if (cp >= 0x0900 && cp <= 0x097f) return DEVANAGARI;
+
+  // Accented Latin letters measure like their base letter
+  const base = ch.normalize("NFD").codePointAt(0);
+  if (base >= 0x20 && base <= 0x7e) return table[base - 0x20];
+  return SYMBOL;
+}
+
+/**
+ * Estimated rendered width in px of `str` at the given font size and weight.
+ * Weights between 400 and 700 blend the two tables; heavier ones widen a little.
+ *
+ * @param {string} str
+ * @param {{ size: number, weight?: number }} font
+ */
+export function textWidth(str, { size, weight = 400 }) {
+  let regular = 0;
+  let bold = 0;
+  for (const ch of String(str ?? "")) {
+    regular += charWidth(ch, REGULAR);
+    bold += charWidth(ch, BOLD);
+  }
+
+  const t = Math.max(0, Math.min(1, (weight - 400) / 300));
+  const heavy = weight > 700 ? 1 + ((weight - 700) / 200) * 0.04 : 1;
+  return ((regular + (bold - regular) * t) * heavy * size) / 1000;
+}
+
+/**
+ * Shortens `str` to fit in `maxWidth` px, ending in an ellipsis when cut.
+ * Text that already fits comes back unchanged.
+ *
+ * @param {string} str
+ * @param {number} maxWidth
+ * @param {{ size: number, weight?: number }} font
+ */
+export function ellipsize(str, maxWidth, font) {
+  const s = String(str ?? "");
+  if (textWidth(s, font) <= maxWidth) return s;
+
+  // Whole code points, so emoji and surrogate pairs are never split
+  const chars = [...s];
+  let lo = 0;
+  let hi = chars.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (textWidth(chars.slice(0, mid).join("").trimEnd() + ELLIPSIS, font) <= maxWidth) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo > 0 ? chars.slice(0, lo).join("").trimEnd() + ELLIPSIS : ELLIPSIS;
+}
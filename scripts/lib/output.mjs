@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import { createI18n } from "./i18n.mjs";
+
+// Writing generated cards to disk.
+//
+// A card is only rewritten when it changed in a way a reader could notice, so
+// the hourly workflows don't commit byte-level noise.
+
+// GitHub Actions shows "::warning::" lines as annotations on the run
+const WARN_PREFIX = process.env.GITHUB_ACTIONS ? "::warning::" : "Warning: ";
+
+// Decimals in attribute values (sub-pixel geometry) and in percentages shown as text
+const roundDecimals = (str) => str.replace(/-?\d+\.\d+/g, (n) => String(Number(Number(n).toFixed(1)) + 0));
+
+// Text with its numbers read the locale's way ("12,35 %" in de, "۱۲٫۳۵٪" in fa), then rounded
+const roundText = (text, locale) => roundDecimals(createI18n(locale).asciiNumbers(text));
+
+/**
+ * Comparison form of an SVG: comments dropped, whitespace collapsed, attributes
+ * sorted, and decimals rounded to one place (in text, numbers as `locale` writes
+ * them). Two SVGs with the same canonical form look the same on the profile.
+ */
+export function canonicalSvg(svg, locale = "en") {
+  return String(svg)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<([\w:-]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>/g, (m, tag, attrs, selfClosing) => {
+      const sorted = [...attrs.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, k, v]) => `${k}="${roundDecimals(v)}"`).sort();
+      return `<${[tag, ...sorted].join(" ")}${selfClosing}>`;
+    })
+    .replace(/>([^<]+)</g, (m, text) => `>${roundText(text.trim(), locale)}<`)
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * "assets/github-stats.svg" => "assets/github-stats.md", where a card's Markdown alternative goes.
+ */
+export function markdownPath(out) {
+  return out.replace(/(\.svg)?$/, ".md");
+}
+
+/**
+ * Comparison form of a card's Markdown alternative, as canonicalSvg() for the
+ * SVG: whitespace collapsed and decimals rounded to one place, so the table's
+ * 2-decimal percentages don't count as a change on every run.
+ */
+export function canonicalMarkdown(markdown, locale = "en") {
+  return roundText(String(markdown), locale).replace(/\s+/g, " ").trim();
+}
+
+function markdownChanged({ out, markdown, card }) {
+  if (markdown == null) return false;
+  const file = markdownPath(out);
+  const locale = card?.locale;
+  return !fs.existsSync(file) || canonicalMarkdown(fs.readFileSync(file, "utf8"), locale) !== canonicalMarkdown(markdown, locale);
+}
+
+// A card counts as changed when its SVG or its Markdown did, and then both are written
+function cardStatus(entry) {
+  const { out, svg, card } = entry;
+  if (svg == null) return "failed";
+  if (!fs.existsSync(out)) return "new";
+  const same = canonicalSvg(fs.readFileSync(out, "utf8"), card?.locale) === canonicalSvg(svg, card?.locale) && !markdownChanged(entry);
+  return same ? "unchanged" : "changed";
+}
+
+/**
+ * Writes every rendered card that is new or changed, together with its Markdown
+ * alternative when the entry has one. Cards that failed (`svg: null`) are skipped
+ * so the last good file stays in place. Throws when nothing at all could be rendered.
+ * Returns { counts, changed } with the entries that were written.
+ */
+export function writeCards(cards, { log = console.log, warn = console.warn } = {}) {
+  const changed = [];
+  const counts = { new: 0, changed: 0, unchanged: 0, failed: 0 };
+
+  for (const entry of cards) {
+    const { out, svg, error } = entry;
+    const status = cardStatus(entry);
+    counts[status]++;
+
+    if (status === "failed") {
+      warn(`${WARN_PREFIX}Skipped ${out}, keeping the last good file (${error})`);
+      continue;
+    }
+    if (status === "unchanged") continue;
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, svg, "utf8");
+    changed.push(entry);
+    log(`Wrote ${out}${status === "new" ? " (new)" : ""}`);
+    if (entry.markdown != null) {
+      fs.writeFileSync(markdownPath(out), entry.markdown, "utf8");
+      log(`Wrote ${markdownPath(out)}`);
+    }
+  }
+
+  if (cards.length && counts.failed === cards.length) {
+    const errors = [...new Set(cards.map((c) => c.error))];
+    throw new Error(`Every card failed:\n  ${errors.join("\n  ")}`);
+  }
+  if (counts.unchanged) log(`${counts.unchanged} card(s) unchanged, left as is`);
+  return { counts, changed };
+}
+
+// Rough size of a change: lines only present on one side
+function changedLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const inA = new Set(a);
+  const inB = new Set(b);
+  return { added: b.filter((l) => !inA.has(l)).length, removed: a.filter((l) => !inB.has(l)).length };
+}
+
+/**
+ * Dry run: compares every rendered card with the file on disk and prints
+ * what writeCards() would do, without touching anything.
+ */
+export function previewCards(cards, { log = console.log } = {}) {
+  const changed = [];
+  const counts = { new: 0, changed: 0, unchanged: 0, failed: 0 };
+
+  for (const entry of cards) {
+    const { out, svg, error } = entry;
+    const status = cardStatus(entry);
+    counts[status]++;
+
+    if (status === "failed") {
+      log(`  ! ${out} (failed, would keep the last good file: ${error})`);
+    } else if (status === "new") {
+      changed.push(entry);
+      log(`  + ${out} (new)`);
+    } else if (status === "changed") {
+      const { added, removed } = changedLines(fs.readFileSync(out, "utf8"), svg);
+      changed.push(entry);
+      log(`  ~ ${out} (+${added} -${removed} lines)`);
+    }
+    if (status !== "failed" && markdownChanged(entry)) log(`  ~ ${markdownPath(out)}`);
+  }
+  return { counts, changed };
+}
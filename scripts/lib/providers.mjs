@@ -0,0 +1,258 @@
+import fs from "fs";
+import path from "path";
+
+// Data providers: where the generators get their API responses from.
+//
+// Every call carries a stable fixture `name` (e.g. "user", "contrib-2024",
+// "stats-all_time"), so a run can be recorded to disk and replayed offline:
+//
+//   live      -> real APIs (needs tokens)
+//   record    -> real APIs, every response also saved under a fixtures dir
+//   fixtures  -> replay the saved responses, no network and no tokens
+//
+// Fixture layout: <dir>/meta.json, <dir>/github/<name>.json, <dir>/wakatime/<name>.json
+// meta.json pins the clock ("now") so date ranges match what was recorded.
+
+const GITHUB_GRAPHQL_URL = "https://api.github.com/graphql";
+const WAKATIME_API_URL = "https://wakatime.com/api/v1";
+
+function fixtureFile(dir, source, name) {
+  return path.join(dir, source, `${name.replace(/[^\w.-]+/g, "_")}.json`);
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing fixture ${file} (record it with CARDS_RECORD=<dir>)`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+// Transient statuses worth another attempt
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function apiError(message, { retryable = false, retryAfterMs = null } = {}) {
+  return Object.assign(new Error(message), { retryable, retryAfterMs });
+}
+
+// Wait hint from Retry-After (seconds or HTTP date) or an exhausted x-ratelimit window
+function retryAfterFromHeaders(get, nowMs = Date.now()) {
+  const ra = get("retry-after");
+  if (ra) {
+    const sec = Number(ra);
+    if (Number.isFinite(sec)) return sec * 1000;
+    const at = Date.parse(ra);
+    if (!Number.isNaN(at)) return Math.max(0, at - nowMs);
+  }
+  if (get("x-ratelimit-remaining") === "0") {
+    const reset = Number(get("x-ratelimit-reset"));
+    if (reset) return Math.max(0, reset * 1000 - nowMs);
+  }
+  return null;
+}
+
+/**
+ * Runs `fn` until it succeeds, retrying errors marked `retryable` with
+ * exponential backoff (or the server's wait hint). Gives up after `retries`
+ * attempts or when the server asks us to wait longer than `maxWaitMs`.
+ */
+export async function withRetries(
+  fn,
+  { label, retries = 4, baseDelayMs = 1000, maxWaitMs = 120000, sleep = defaultSleep, log = console.warn } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (!e.retryable || attempt >= retries) throw e;
+
+      const wait = e.retryAfterMs ?? baseDelayMs * 2 ** attempt;
+      if (wait > maxWaitMs) {
+        throw apiError(`${e.message} (server asked to wait ${Math.ceil(wait / 1000)}s, giving up)`);
+      }
+      log(`${label}: ${e.message}; retry ${attempt + 1}/${retries} in ${Math.ceil(wait / 1000)}s`);
+      await sleep(wait);
+    }
+  }
+}
+
+// Adds the rateLimit field to a query so every response reports the remaining budget
+function withRateLimitField(query) {
+  const i = query.indexOf("{");
+  return `${query.slice(0, i + 1)}\n  rateLimit { cost remaining limit resetAt }${query.slice(i + 1)}`;
+}
+
+export function createGitHubProvider({ token, retries, sleep = defaultSleep, log = console.warn }) {
+  if (!token) throw new Error("Missing GH_TOKEN (recommended) or GITHUB_TOKEN");
+
+  // Last known GraphQL budget, plus what this run spent
+  const budget = { remaining: null, limit: null, resetAt: null, spent: 0 };
+
+  async function request(name, query, variables) {
+    let res;
+    try {
+      res = await fetch(GITHUB_GRAPHQL_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ query: withRateLimitField(query), variables }),
+      });
+    } catch (e) {
+      throw apiError(`network error: ${e.cause?.code || e.message}`, { retryable: true });
+    }
+
+    const retryAfterMs = retryAfterFromHeaders((h) => res.headers.get(h));
+    const json = await res.json().catch(() => null);
+
+    if (!res.ok) {
+      const msg = json?.message || res.statusText || "request failed";
+      // 403 is only transient when it's a (secondary) rate limit
+      const limited = res.status === 403 && (retryAfterMs != null || /rate limit/i.test(msg));
+      throw apiError(`HTTP ${res.status}: ${msg}`, {
+        retryable: RETRY_STATUS.has(res.status) || limited,
+        retryAfterMs: retryAfterMs ?? (limited ? 60000 : null),
+      });
+    }
+    if (json?.errors) {
+      const limited = json.errors.some((e) => e.type === "RATE_LIMITED");
+      throw apiError(`GitHub GraphQL error: ${JSON.stringify(json.errors)}`, {
+        retryable: limited,
+        retryAfterMs: retryAfterMs ?? (limited ? 60000 : null),
+      });
+    }
+    // A 200 without data (an empty or non-JSON body) is worth another try like a 5xx
+    if (!json?.data) {
+      throw apiError(`GitHub GraphQL response has no data: ${json ? JSON.stringify(json).slice(0, 200) : "invalid JSON"}`, {
+        retryable: true,
+        retryAfterMs,
+      });
+    }
+
+    const { rateLimit, ...data } = json.data;
+    if (rateLimit) {
+      budget.remaining = rateLimit.remaining;
+      budget.limit = rateLimit.limit;
+      budget.resetAt = rateLimit.resetAt;
+      budget.spent += rateLimit.cost;
+    }
+    return data;
+  }
+
+  return {
+    now: () => new Date(),
+
+    async graphql(name, query, variables) {
+      // Out of budget: wait for the reset if it's close, otherwise fail this query
+      if (budget.remaining === 0 && budget.resetAt) {
+        const wait = Date.parse(budget.resetAt) - Date.now();
+        if (wait > 120000) throw apiError(`GitHub API budget exhausted until ${budget.resetAt}`);
+        log(`GitHub API budget exhausted, waiting ${Math.ceil(wait / 1000)}s for reset`);
+        await sleep(Math.max(0, wait));
+      }
+
+      return withRetries(() => request(name, query, variables), { label: `GitHub ${name}`, retries, sleep, log });
+    },
+
+    budgetSummary() {
+      if (budget.remaining == null) return "GitHub API budget: unknown";
+      return `GitHub API budget: ${budget.remaining}/${budget.limit} left, this run cost ${budget.spent} (resets ${budget.resetAt})`;
+    },
+  };
+}
+
+export function createWakaTimeProvider({ apiKey, retries, sleep = defaultSleep, log = console.warn }) {
+  if (!apiKey) throw new Error("Missing WAKATIME_API_KEY");
+
+  async function request(urlPath) {
+    // Imported lazily so fixture runs don't need axios installed
+    const { default: axios } = await import("axios");
+    const auth = Buffer.from(apiKey).toString("base64");
+    try {
+      const res = await axios.get(`${WAKATIME_API_URL}${urlPath}`, {
+        headers: { Authorization: `Basic ${auth}` },
+        timeout: 30000,
+      });
+      return res.data;
+    } catch (e) {
+      const status = e.response?.status;
+      const detail = e.response?.data?.error || e.code || e.message;
+      throw apiError(status ? `HTTP ${status}: ${detail}` : `network error: ${detail}`, {
+        retryable: !status || RETRY_STATUS.has(status),
+        retryAfterMs: e.response ? retryAfterFromHeaders((h) => e.response.headers?.[h]) : null,
+      });
+    }
+  }
+
+  return {
+    now: () => new Date(),
+
+    async get(name, urlPath) {
+      return withRetries(() => request(urlPath), { label: `WakaTime ${name}`, retries, sleep, log });
+    },
+  };
+}
+
+/**
+ * Replays recorded responses from `dir`. Works for both sources.
+ */
+export function createFixtureProvider(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Fixtures dir not found: ${dir}`);
+
+  const metaFile = path.join(dir, "meta.json");
+  const meta = fs.existsSync(metaFile) ? readJson(metaFile) : {};
+  const now = meta.now ? new Date(meta.now) : new Date();
+
+  return {
+    now: () => new Date(now),
+    async graphql(name) {
+      return readJson(fixtureFile(dir, "github", name));
+    },
+    async get(name) {
+      return readJson(fixtureFile(dir, "wakatime", name));
+    },
+  };
+}
+
+/**
+ * Wraps a live provider and saves every response (plus the clock) under `dir`.
+ */
+export function recordingProvider(provider, dir) {
+  writeJson(path.join(dir, "meta.json"), { now: provider.now().toISOString() });
+
+  const wrap = (source, fn) =>
+    fn &&
+    (async (name, ...args) => {
+      const data = await fn(name, ...args);
+      writeJson(fixtureFile(dir, source, name), data);
+      return data;
+    });
+
+  return {
+    ...provider,
+    graphql: wrap("github", provider.graphql),
+    get: wrap("wakatime", provider.get),
+  };
+}
+
+/**
+ * Picks a provider from the environment:
+ * CARDS_FIXTURES=<dir> replays, CARDS_RECORD=<dir> records a live run.
+ */
+export function providerFromEnv(source, env = process.env) {
+  if (env.CARDS_FIXTURES) return createFixtureProvider(env.CARDS_FIXTURES);
+
+  const live =
+    source === "github"
+      ? createGitHubProvider({ token: env.GH_TOKEN || env.GITHUB_TOKEN })
+      : createWakaTimeProvider({ apiKey: env.WAKATIME_API_KEY });
+
+  return env.CARDS_RECORD ? recordingProvider(live, env.CARDS_RECORD) : live;
+}
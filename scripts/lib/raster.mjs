@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+// PNG export of the rendered cards, for places that don't show SVG (Slack and
+// LinkedIn unfurls, the repository social preview).
+//
+// Rendering uses resvg (no browser, no system libraries) with system fonts turned
+// off: text is drawn only with the bundled font files below, so a card looks the
+// same on every machine. Install them next to the scripts, like axios:
+//
+//   npm install @resvg/resvg-js@2.6.2 @expo-google-fonts/inter@0.4.2 @expo-google-fonts/noto-emoji@0.4.7
+
+export const RASTER_PACKAGES = ["@resvg/resvg-js@2.6.2", "@expo-google-fonts/inter@0.4.2", "@expo-google-fonts/noto-emoji@0.4.7"];
+
+// Inter in the weights the cards use (resvg picks the nearest one) and a
+// monochrome emoji font for the title icons. Inter has no Arabic or Devanagari
+// letters: cards in "fa" or "hi" need a font for them in png.fonts (e.g.
+// Vazirmatn, Noto Sans Devanagari).
+const BUNDLED_FONTS = [
+  "@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf",
+  "@expo-google-fonts/inter/600SemiBold/Inter_600SemiBold.ttf",
+  "@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf",
+  "@expo-google-fonts/inter/800ExtraBold/Inter_800ExtraBold.ttf",
+  "@expo-google-fonts/inter/900Black/Inter_900Black.ttf",
+  "@expo-google-fonts/noto-emoji/400Regular/NotoEmoji_400Regular.ttf",
+];
+
+const require = createRequire(import.meta.url);
+
+/**
+ * "assets/github-stats.svg" at scale 2 => "assets/github-stats@2x.png" (1x has no suffix).
+ */
+export function pngPath(out, scale) {
+  return out.replace(/(\.svg)?$/, scale === 1 ? ".png" : `@${scale}x.png`);
+}
+
+function installHint() {
+  return `PNG export needs: npm install ${RASTER_PACKAGES.join(" ")}`;
+}
+
+// Imported lazily so SVG-only runs don't need resvg installed
+async function loadResvg() {
+  try {
+    const { Resvg } = await import("@resvg/resvg-js");
+    return Resvg;
+  } catch (e) {
+    throw new Error(`${installHint()} (${e.message})`);
+  }
+}
+
+function fontFiles(extra = []) {
+  const bundled = BUNDLED_FONTS.map((spec) => {
+    try {
+      return require.resolve(spec);
+    } catch {
+      throw new Error(`Missing font ${spec}. ${installHint()}`);
+    }
+  });
+  for (const file of extra) {
+    if (!fs.existsSync(file)) throw new Error(`Missing font file ${file} (png.fonts)`);
+  }
+  return [...extra, ...bundled];
+}
+
+/**
+ * PNG files a card entry should have and which of them are missing on disk.
+ */
+export function missingPngs(out, scales) {
+  return scales.map((scale) => pngPath(out, scale)).filter((file) => !fs.existsSync(file));
+}
+
+function fontOptions(png) {
+  return {
+    loadSystemFonts: false,
+    fontFiles: fontFiles(png.fonts),
+    defaultFontFamily: "Inter",
+    sansSerifFamily: "Inter",
+  };
+}
+
+// Characters the cards draw: the contents of their <text> elements, without
+// the tooltip <title>s of cut labels
+function drawnCharacters(svg) {
+  const text = [...svg.matchAll(/<text\b[^>]*>([\s\S]*?)<\/text>/g)]
+    .map((m) => m[1].replace(/<title>[\s\S]*?<\/title>/g, "").replace(/<[^>]+>/g, ""))
+    .join("")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+  return [...new Set(Array.from(text))].filter((ch) => !/\s/.test(ch));
+}
+
+/**
+ * Characters of the cards' text that none of the PNG fonts can draw: they would
+ * come out as a missing-glyph box. Each character is drawn on its own and
+ * compared with a private-use character no font has.
+ *
+ * @param {string[]} svgs
+ * @returns {Promise<string[]>}
+ */
+export async function missingGlyphs(svgs, png) {
+  const Resvg = await loadResvg();
+  const font = fontOptions(png);
+  const draw = (cp) =>
+    new Resvg(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48"><text x="8" y="34" font-size="24" font-family="ui-sans-serif, system-ui">&#${cp};</text></svg>`,
+      { font }
+    )
+      .render()
+      .asPng();
+
+  const box = draw(0x10fffd);
+  const chars = [...new Set(svgs.flatMap(drawnCharacters))];
+  return chars.filter((ch) => draw(ch.codePointAt(0)).equals(box));
+}
+
+/**
+ * Rasterizes SVG cards at every scale and writes the PNGs next to them.
+ * `png` is the config's { scales, fonts }. Returns the written file paths.
+ *
+ * @param {{ out: string, svg: string }[]} cards
+ */
+export async function writePngs(cards, png, { log = console.log } = {}) {
+  if (!cards.length) return [];
+  const Resvg = await loadResvg();
+  const font = fontOptions(png);
+
+  const written = [];
+  for (const { out, svg } of cards) {
+    for (const scale of png.scales) {
+      const file = pngPath(out, scale);
+      const image = new Resvg(svg, { font, fitTo: { mode: "zoom", value: scale } }).render();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, image.asPng());
+      written.push(file);
+      log(`Wrote ${file} (${image.width}×${image.height})`);
+    }
+  }
+  return written;
+}
@@ -0,0 +1,135 @@
+import fs from "fs";
+import path from "path";
+import { variantPath } from "./themes.mjs";
+import { MARKDOWN_HEADER } from "./alt.mjs";
+import { createI18n } from "./i18n.mjs";
+
+// Generated blocks inside the profile README.
+//
+// Only the text between a pair of markers is ever rewritten:
+//
+//   <!-- CARDS:github-stats:start -->          the card's Markdown table (see alt.mjs)
+//   <!-- CARDS:github-stats:end -->
+//   <!-- CARDS:github-stats:picture:start -->  <picture> embed with the light/dark files
+//   <!-- CARDS:github-stats:picture:end -->
+//   <!-- CARDS:updated:start -->               when the cards last changed
+//   <!-- CARDS:updated:end -->
+//
+// A card's block name is its primary output file without ".svg", e.g.
+// "wakatime-langs-last-30-days". Rendering the same data again leaves the file as is.
+
+const START_RE = /<!--\s*CARDS:([\w.-]+(?::picture)?):start\s*-->/g;
+
+const endMarker = (name) => new RegExp(`<!--\\s*CARDS:${name.replace(/[.]/g, "\\.")}:end\\s*-->`, "g");
+
+/**
+ * Every marker pair in `text` as { name, from, to }, the offsets of the content
+ * between the markers. Throws on a start marker without its end marker.
+ */
+export function findBlocks(text) {
+  const blocks = [];
+  for (const m of text.matchAll(START_RE)) {
+    const from = m.index + m[0].length;
+    const re = endMarker(m[1]);
+    re.lastIndex = from;
+    const end = re.exec(text);
+    if (!end) throw new Error(`${m[0]} has no matching <!-- CARDS:${m[1]}:end --> marker`);
+    blocks.push({ name: m[1], from, to: end.index });
+  }
+  return blocks;
+}
+
+/**
+ * Replaces the content of every block `contentFor(name)` returns a string for;
+ * other blocks and everything outside the markers stay byte for byte.
+ * Returns { text, changed } with the names of the blocks whose content changed.
+ */
+export function injectBlocks(text, contentFor) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const changed = [];
+  let out = "";
+  let pos = 0;
+
+  for (const { name, from, to } of findBlocks(text)) {
+    if (from < pos) continue; // inside a block that was already replaced
+    const content = contentFor(name);
+    if (content == null) continue;
+
+    const next = `${eol}${content.replace(/\r?\n/g, eol)}${eol}`;
+    if (text.slice(from, to) !== next) changed.push(name);
+    out += text.slice(pos, from) + next;
+    pos = to;
+  }
+  return { text: out + text.slice(pos), changed };
+}
+
+// "assets/github-stats.svg" seen from README.md in the repo root => "./assets/github-stats.svg"
+function relativeUrl(file, readmeDir) {
+  const rel = path.relative(readmeDir, file).split(path.sep).join("/");
+  return rel.startsWith(".") ? rel : `./${rel}`;
+}
+
+const attr = (s) => String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+/**
+ * Block contents for a source's rendered cards: the Markdown table and the
+ * <picture> embed for every card that rendered. Failed cards get no entry, so
+ * their blocks keep the last good content.
+ *
+ * @param {{ out: string, svg: string | null, markdown?: string, alt?: string }[]} cards generateXCards() entries
+ * @param {{ suffix: string, theme: { mode: string } }[]} variants
+ * @param {string} readmeDir
+ * @returns {Map<string, string>}
+ */
+export function cardBlocks(cards, variants, readmeDir) {
+  const [primary, ...others] = variants;
+  const blocks = new Map();
+
+  for (const { out, svg, markdown, alt } of cards) {
+    if (svg == null || markdown == null) continue;
+    const name = path.basename(out).replace(/\.svg$/, "");
+
+    blocks.set(name, markdown.replace(MARKDOWN_HEADER, "").trim());
+
+    // Other colour schemes as <source>s, the primary theme as the fallback <img>
+    const sources = others
+      .filter((v) => v.theme.mode !== primary.theme.mode)
+      .map(
+        (v) =>
+          `  <source media="(prefers-color-scheme: ${v.theme.mode})" srcset="${attr(relativeUrl(variantPath(out, v.suffix), readmeDir))}" />\n`
+      )
+      .join("");
+    blocks.set(
+      `${name}:picture`,
+      `<picture>\n${sources}  <img src="${attr(relativeUrl(out, readmeDir))}" alt="${attr(alt || name)}" />\n</picture>`
+    );
+  }
+  return blocks;
+}
+
+/**
+ * "Last updated" line, e.g. "<sub>Last updated: Oct 19, 2026, 12:00 UTC</sub>".
+ */
+export function updatedLine(now, i18n = createI18n()) {
+  return `<sub>${i18n.t("readme.updated", { when: i18n.dateTime(now) })}</sub>`;
+}
+
+/**
+ * Rewrites the README's card blocks. The "updated" block only moves when a card
+ * or a block changed (`cardsChanged`), so an hourly run with the same data
+ * leaves the file alone. Returns the names of the changed blocks; with
+ * `dryRun` nothing is written. `i18n` is the config locale's, for the "updated" line.
+ */
+export function updateReadme(file, blocks, { now, cardsChanged = false, dryRun = false, i18n }) {
+  if (!fs.existsSync(file)) throw new Error(`README ${file} not found`);
+  const before = fs.readFileSync(file, "utf8");
+
+  const cards = injectBlocks(before, (name) => blocks.get(name));
+  const stamp = cards.changed.length > 0 || cardsChanged;
+  const { text, changed } = stamp
+    ? injectBlocks(cards.text, (name) => (name === "updated" ? updatedLine(now, i18n) : null))
+    : { text: cards.text, changed: [] };
+
+  if (text !== before && !dryRun) fs.writeFileSync(file, text, "utf8");
+  return [...cards.changed, ...changed];
+}
@@ -0,0 +1,1007 @@
+// Shared SVG card rendering used by github-cards.mjs and wakatime-cards.mjs.
+//
+// Every renderer takes a `theme` object:
+//   { bg1, bg2, title, text, textDim, muted, barBg, stroke, accent, otherColor, bars: [] }
+// and returns a complete SVG document as a string.
+
+import { ellipsize, textWidth } from "./metrics.mjs";
+import { cardMarkdown, cardSummary } from "./alt.mjs";
+import { createI18n } from "./i18n.mjs";
+
+export const FONT = "ui-sans-serif, system-ui";
+
+export const CARD_WIDTH = 900;
+export const PADDING = 28;
+
+// Half width, so two compact cards fit side by side in a README
+export const COMPACT_WIDTH = 450;
+
+// Header layout shared by every card so titles and dividers line up
+const HEADER_H = 124;
+const DIVIDER_Y = 98;
+
+// Compact headers have a third line for the total and top texts (as on the grid card)
+const COMPACT_HEADER_EXTRA = 10;
+
+export function escapeXml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Escaped text that fits in `maxWidth` px. Cut labels end in an ellipsis and keep
+// the full text in a <title>, which shows as a tooltip when the card is opened directly.
+function fitText(str, maxWidth, font) {
+  const full = String(str ?? "");
+  const text = ellipsize(full, maxWidth, font);
+  return text === full ? escapeXml(full) : `<title>${escapeXml(full)}</title>${escapeXml(text)}`;
+}
+
+// Fixed precision so the same data always renders the same bytes (and no "-0")
+export function fixed(n, digits = 2) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Number(x.toFixed(digits)) + 0 : 0;
+}
+
+// Opt-in entrance animations. Plain CSS in the SVG's own <style>: GitHub's image
+// proxy drops scripts but keeps inline CSS. Keyframes only give the start state,
+// so every element animates to the values in its own attributes. Users who
+// prefer reduced motion get the final state right away.
+const ANIMATION_CSS = `
+    <style>
+      @keyframes grow-x { from { transform: scaleX(0); } }
+      @keyframes grow-y { from { transform: scaleY(0); } }
+      @keyframes sweep { from { stroke-dasharray: 0 1000; } }
+      @keyframes fade-in { from { opacity: 0; } }
+      .grow-x { transform-box: fill-box; transform-origin: left center; animation: grow-x 0.8s cubic-bezier(0.2, 0.8, 0.2, 1) both; }
+      .grow-y { transform-box: fill-box; transform-origin: center bottom; animation: grow-y 0.7s cubic-bezier(0.2, 0.8, 0.2, 1) both; }
+      .sweep { animation: sweep 1.2s ease-out both; }
+      .fade-in { animation: fade-in 0.6s ease-out both; }
+      @media (prefers-reduced-motion: reduce) {
+        .grow-x, .grow-y, .sweep, .fade-in { animation: none; }
+      }
+    </style>`;
+
+// Class (and stagger delay) attributes for an animated element, nothing when static
+function anim(animate, kind, delayMs = 0) {
+  if (!animate) return "";
+  return delayMs ? ` class="${kind}" style="animation-delay: ${delayMs}ms"` : ` class="${kind}"`;
+}
+
+export function svgDefs(theme, { animate = false } = {}) {
+  return `
+  <defs>${animate ? ANIMATION_CSS : ""}
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.bg1}"/>
+      <stop offset="100%" stop-color="${theme.bg2}"/>
+    </linearGradient>
+
+    <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+      <feDropShadow dx="0" dy="10" stdDeviation="18" flood-color="#000000" flood-opacity="0.35"/>
+    </filter>
+
+    <filter id="barGlow" x="-20%" y="-50%" width="140%" height="200%">
+      <feDropShadow dx="0" dy="0" stdDeviation="2" flood-color="#ffffff" flood-opacity="0.06"/>
+      <feDropShadow dx="0" dy="4" stdDeviation="6" flood-color="#000000" flood-opacity="0.22"/>
+    </filter>
+  </defs>
+`;
+}
+
+export function baseCard({ width, height }) {
+  return `<rect x="0" y="0" width="${width}" height="${height}" rx="18" ry="18" fill="url(#bgGrad)" filter="url(#shadow)" />`;
+}
+
+// Screen readers get the title as the name and the summary as the description;
+// rows inside are exposed as list items
+function svgOpen({ width, height, title, desc }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+     xmlns="http://www.w3.org/2000/svg" role="figure" aria-labelledby="card-title" aria-describedby="card-desc">
+  <title id="card-title">${escapeXml(title)}</title>
+  <desc id="card-desc">${escapeXml(desc)}</desc>`;
+}
+
+function divider(theme, { width, y }) {
+  return `<line x1="${PADDING}" y1="${y}" x2="${width - PADDING}" y2="${y}"
+        stroke="${theme.stroke}" stroke-width="1" opacity="0.75" />`;
+}
+
+/**
+ * Title and subtitle on the left, total and top texts end-anchored on the right,
+ * then the divider. The left texts are ellipsized to leave room for the right ones.
+ * Compact headers give title and subtitle the full width and put the total and
+ * top texts on a line of their own.
+ */
+function cardHeader(theme, { width, title, subtitleLeft, totalText, topText, compact = false }) {
+  const padding = PADDING;
+  const gap = 16;
+
+  if (compact) {
+    const lineW = width - padding * 2;
+    const totalW = lineW - (topText ? textWidth(topText, { size: 12, weight: 650 }) + gap : 0);
+    return `<text x="${padding}" y="46" fill="${theme.title}" font-size="22" font-weight="900"
+        font-family="${FONT}">${fitText(title, lineW, { size: 22, weight: 900 })}</text>
+
+  <text x="${padding}" y="72" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${fitText(subtitleLeft, lineW, { size: 12, weight: 650 })}</text>
+
+  <text x="${padding}" y="94" fill="${theme.text}" font-size="12" font-weight="800"
+        font-family="${FONT}">${fitText(totalText, totalW, { size: 12, weight: 800 })}</text>
+
+  <text x="${width - padding}" y="94" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${escapeXml(topText || "")}</text>
+
+  ${divider(theme, { width, y: DIVIDER_Y + COMPACT_HEADER_EXTRA })}`;
+  }
+
+  const titleW = width - padding * 2 - textWidth(totalText, { size: 14, weight: 900 }) - gap;
+  const subtitleW = width - padding * 2 - textWidth(topText || "", { size: 12, weight: 650 }) - gap;
+
+  return `<text x="${padding}" y="46" fill="${theme.title}" font-size="22" font-weight="900"
+        font-family="${FONT}">${fitText(title, titleW, { size: 22, weight: 900 })}</text>
+
+  <text x="${padding}" y="72" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${fitText(subtitleLeft, subtitleW, { size: 12, weight: 650 })}</text>
+
+  <text x="${width - padding}" y="46" text-anchor="end" fill="${theme.text}" font-size="14" font-weight="900"
+        font-family="${FONT}">${escapeXml(totalText)}</text>
+
+  <text x="${width - padding}" y="72" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${escapeXml(topText || "")}</text>
+
+  ${divider(theme, { width, y: DIVIDER_Y })}`;
+}
+
+/**
+ * Grade ring: track circle, progress arc, letter and percentage.
+ * The letter scales with `r` (26 on the full-size card); smaller rings leave
+ * out the percentage, which would be too small to read.
+ */
+export function ringSvg({ theme, cx, cy, r, strokeWidth, pct, color, label, animate = false, i18n = createI18n() }) {
+  const clamped = Math.max(0, Math.min(100, pct));
+  const C = 2 * Math.PI * r;
+  const dash = fixed((C * clamped) / 100);
+  const gap = fixed(C - dash);
+
+  const pctText =
+    r >= 26
+      ? `
+      <text x="${cx}" y="${cy + 28}" text-anchor="middle"${anim(animate, "fade-in", 900)}
+            fill="${theme.muted}" font-size="11" font-weight="700"
+            font-family="${FONT}">${i18n.percent(clamped, 0)}</text>`
+      : "";
+
+  return `
+    <g>
+      <circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${theme.stroke}" stroke-width="${strokeWidth}" opacity="0.65"/>
+      <circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"
+              stroke-linecap="round"
+              stroke-dasharray="${dash} ${gap}"
+              transform="rotate(-90 ${cx} ${cy})"
+              filter="url(#barGlow)"${anim(animate, "sweep", 200)}/>
+      <text x="${cx}" y="${cy + Math.round(r * 0.27)}" text-anchor="middle"${anim(animate, "fade-in", 900)}
+            fill="${theme.text}" font-size="${Math.round(r * 0.85)}" font-weight="900"
+            font-family="${FONT}">${escapeXml(label)}</text>${pctText}
+    </g>
+  `;
+}
+
+/**
+ * Ring colour for a grade letter, picked from the theme palette.
+ */
+export function gradeColor(theme, letter) {
+  if (letter === "S") return theme.bars[1];
+  if (letter === "A") return theme.bars[0];
+  if (letter === "B") return theme.bars[2];
+  if (letter === "C") return theme.bars[3];
+  return theme.muted;
+}
+
+/**
+ * Small trend line scaled into the given box. Needs at least two points.
+ */
+export function sparklineSvg({ theme, x, y, width, height, points, color }) {
+  if (!points || points.length < 2) return "";
+
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const span = max - min || 1;
+  const step = width / (points.length - 1);
+
+  // Flat series sit in the middle instead of on the floor
+  const coords = points.map((v, i) => {
+    const px = x + i * step;
+    const py = max === min ? y + height / 2 : y + height - ((v - min) / span) * height;
+    return [fixed(px, 1), fixed(py, 1)];
+  });
+  const line = coords.map(([px, py]) => `${px},${py}`).join(" ");
+  const [lastX, lastY] = coords[coords.length - 1];
+
+  return `
+        <polyline points="${x},${y + height} ${line} ${x + width},${y + height}"
+                  fill="${color}" opacity="0.12" stroke="none"/>
+        <polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"
+                  stroke-linejoin="round" stroke-linecap="round" opacity="0.95"/>
+        <circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${color}" stroke="${theme.barBg}" stroke-width="1"/>`;
+}
+
+/**
+ * Grid stats card with a grade ring in the top-right corner.
+ *
+ * Trend mode: when any item has a `trend` key the boxes grow taller and
+ * items with a non-null trend get a sparkline and a delta line.
+ * Items with a `note` get the same taller box with the note as a muted third line.
+ * Without `grade` the ring is left out. The compact layout has two columns,
+ * a smaller ring and a narrower sparkline.
+ *
+ * @param {object} opts
+ * @param {object} opts.theme
+ * @param {string} opts.title
+ * @param {string} opts.subtitleLeft
+ * @param {string} opts.totalText
+ * @param {string} opts.topText
+ * @param {{ label: string, value: string, note?: string, trend?: { points: number[], delta: number, deltaText: string } | null }[]} opts.items
+ * @param {{ letter: string, pct: number }} [opts.grade]
+ * @param {{ title: string, parts: { label: string, valueText: string, points: number, maxPoints: number }[] }} [opts.breakdown]
+ * @param {boolean} [opts.animate] entrance animations, see ANIMATION_CSS
+ * @param {boolean} [opts.compact] 450px layout, see COMPACT_WIDTH
+ * @param {object} [opts.i18n] createI18n() of the card's locale
+ */
+export function renderGridStatsCard({
+  theme,
+  title,
+  subtitleLeft,
+  totalText,
+  topText,
+  items,
+  grade,
+  breakdown,
+  animate = false,
+  compact = false,
+  i18n = createI18n(),
+}) {
+  const width = compact ? COMPACT_WIDTH : CARD_WIDTH;
+  const padding = PADDING;
+  const headerH = HEADER_H;
+
+  const cols = compact ? 2 : 3;
+  const rows = Math.ceil(items.length / cols);
+
+  const tall = items.some((it) => it.trend !== undefined || it.note);
+
+  const cardGap = 14;
+  const boxH = tall ? 92 : 74;
+  const boxW = Math.floor((width - padding * 2 - cardGap * (cols - 1)) / cols);
+
+  const panelY = headerH + rows * (boxH + cardGap);
+  const panel = breakdown
+    ? breakdownPanel(theme, { x: padding, y: panelY, width: width - padding * 2, breakdown, animate, cols: compact ? 1 : 2, i18n })
+    : null;
+  const height = panelY + (panel ? panel.height + cardGap : 0) + 30;
+
+  // Ring placement (top-right)
+  const ringR = compact ? 18 : 26;
+  const ringCx = width - padding - (compact ? 30 : 46);
+  const ringCy = 58;
+
+  // Header texts stop short of the ring; the top text sits under it on compact cards
+  const headerW = (grade ? ringCx - ringR - 16 : width - padding) - padding;
+  const topX = compact ? width - padding : width - padding - 110;
+  const totalW = topX - padding - (topText ? textWidth(topText, { size: 12, weight: 650 }) + 16 : 0);
+  const sparkW = compact ? 60 : 94;
+
+  const boxes = items
+    .map((it, idx) => {
+      const rr = Math.floor(idx / cols);
+      const cc = idx % cols;
+      const x = padding + cc * (boxW + cardGap);
+      const y = headerH + rr * (boxH + cardGap);
+
+      const accent = theme.bars[idx % theme.bars.length];
+      const textW = boxW - 36;
+      // Values share their line with the sparkline
+      const sparkX = x + boxW - sparkW - 18;
+      const valueW = it.trend ? sparkX - 8 - (x + 18) : textW;
+
+      const trend = it.trend
+        ? `
+${sparklineSvg({ theme, x: sparkX, y: y + 38, width: sparkW, height: 24, points: it.trend.points, color: accent })}
+
+        <text x="${x + 18}" y="${y + 76}" fill="${it.trend.delta > 0 ? theme.barsText[idx % theme.barsText.length] : theme.muted}" font-size="11" font-weight="700"
+              font-family="${FONT}">${fitText(it.trend.deltaText, textW, { size: 11, weight: 700 })}</text>`
+        : it.note
+        ? `
+
+        <text x="${x + 18}" y="${y + 76}" fill="${theme.muted}" font-size="11" font-weight="650"
+              font-family="${FONT}">${fitText(it.note, textW, { size: 11, weight: 650 })}</text>`
+        : "";
+
+      return `
+      <g role="listitem">
+        <rect x="${x}" y="${y}" rx="14" ry="14" width="${boxW}" height="${boxH}"
+              fill="${theme.barBg}" opacity="0.92" />
+        <rect x="${x}" y="${y}" rx="14" ry="14" width="6" height="${boxH}"
+              fill="${accent}" opacity="0.95" />
+
+        <text x="${x + 18}" y="${y + 28}" fill="${theme.muted}" font-size="12" font-weight="700"
+              font-family="${FONT}">${fitText(it.label, textW, { size: 12, weight: 700 })}</text>
+
+        <text x="${x + 18}" y="${y + 54}" fill="${theme.text}" font-size="22" font-weight="900"
+              font-family="${FONT}"${anim(animate, "fade-in", 150 + idx * 80)}>${fitText(it.value, valueW, { size: 22, weight: 900 })}</text>${trend}
+      </g>`;
+    })
+    .join("\n");
+
+  return `${svgOpen({ width, height, title, desc: cardSummary("grid", { totalText, items, grade, i18n }) })}
+  ${svgDefs(theme, { animate })}
+  ${baseCard({ width, height })}
+
+  <text x="${padding}" y="46" fill="${theme.title}" font-size="22" font-weight="900"
+        font-family="${FONT}">${fitText(title, headerW, { size: 22, weight: 900 })}</text>
+
+  <text x="${padding}" y="72" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${fitText(subtitleLeft, headerW, { size: 12, weight: 650 })}</text>
+
+  <text x="${padding}" y="94" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${fitText(totalText, totalW, { size: 12, weight: 650 })}</text>
+
+  <text x="${topX}" y="94" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="650"
+        font-family="${FONT}">${escapeXml(topText)}</text>
+
+  ${
+    grade
+      ? ringSvg({
+          theme,
+          cx: ringCx,
+          cy: ringCy,
+          r: ringR,
+          strokeWidth: compact ? 5 : 7,
+          pct: grade.pct,
+          color: gradeColor(theme, grade.letter),
+          label: grade.letter,
+          animate,
+          i18n,
+        })
+      : ""
+  }
+
+  ${divider(theme, { width, y: 108 })}
+
+  <g role="list">${boxes}
+  </g>${panel ? panel.svg : ""}
+</svg>`;
+}
+
+// Grade breakdown: one line per signal in `cols` columns, with a bar for the
+// points earned out of the points that signal can give
+function breakdownPanel(theme, { x, y, width, breakdown, animate, cols = 2, i18n }) {
+  const lineH = 26;
+  const colGap = 24;
+  const colW = (width - 36 - colGap * (cols - 1)) / cols;
+  const lines = Math.ceil(breakdown.parts.length / cols);
+  const height = 44 + lines * lineH;
+
+  const parts = breakdown.parts
+    .map((p, i) => {
+      const px = fixed(x + 18 + (i % cols) * (colW + colGap));
+      const py = y + 58 + Math.floor(i / cols) * lineH;
+      const barX = fixed(px + colW - 170);
+      const barW = 90;
+      const fillW = fixed(p.maxPoints > 0 ? (barW * p.points) / p.maxPoints : 0);
+      const color = theme.bars[i % theme.bars.length];
+      const labelW = barX - 12 - textWidth(p.valueText, { size: 11, weight: 650 }) - 12 - px;
+
+      return `
+      <g role="listitem">
+        <text x="${px}" y="${py}" fill="${theme.text}" font-size="12" font-weight="700"
+              font-family="${FONT}">${fitText(p.label, labelW, { size: 12, weight: 700 })}</text>
+        <text x="${barX - 12}" y="${py}" text-anchor="end" fill="${theme.muted}" font-size="11" font-weight="650"
+              font-family="${FONT}">${escapeXml(p.valueText)}</text>
+        <rect x="${barX}" y="${py - 9}" rx="4" ry="4" width="${barW}" height="8" fill="${theme.barBg}" opacity="0.95"/>
+        <rect x="${barX}" y="${py - 9}" rx="4" ry="4" width="${fillW}" height="8" fill="${color}" opacity="0.95" filter="url(#barGlow)"${anim(animate, "grow-x", 600 + i * 70)}/>
+        <text x="${fixed(px + colW)}" y="${py}" text-anchor="end" fill="${theme.text}" font-size="11" font-weight="750"
+              font-family="${FONT}">${i18n.decimal(fixed(p.points, 1), 1)} / ${i18n.decimal(fixed(p.maxPoints, 1), 1, 0)}</text>
+      </g>`;
+    })
+    .join("\n");
+
+  const svg = `
+  <rect x="${x}" y="${y}" rx="14" ry="14" width="${width}" height="${height}" fill="${theme.barBg}" opacity="0.55"
+        stroke="${theme.stroke}" stroke-width="1"/>
+  <text x="${x + 18}" y="${y + 28}" fill="${theme.muted}" font-size="12" font-weight="750"
+        font-family="${FONT}">${fitText(breakdown.title, width - 36, { size: 12, weight: 750 })}</text>
+  <g role="list">${parts}
+  </g>`;
+
+  return { svg, height };
+}
+
+/**
+ * Keeps the first `limit` rows at or above `minPercent` and folds the rest (and
+ * any row already marked `other: true`) into one `otherName` row at the bottom, so
+ * the percentages still add up. `otherText(foldedRows)` gives the row's value text;
+ * without it the tail is simply dropped. The folded row is marked `other: true`.
+ *
+ * @param {{ name: string, valueText: string, percent: number, other?: boolean }[]} rows sorted, largest first
+ */
+export function foldOtherRows(rows, { limit, minPercent = 0, otherText, otherName = "Other" }) {
+  const kept = [];
+  const rest = [];
+  for (const r of rows) {
+    if (!r.other && kept.length < limit && r.percent >= minPercent) kept.push(r);
+    else rest.push(r);
+  }
+
+  const percent = rest.reduce((acc, r) => acc + r.percent, 0);
+  if (!otherText || !rest.length || percent <= 0) return kept;
+  return [...kept, { name: otherName, valueText: otherText(rest), percent, other: true }];
+}
+
+/**
+ * Ranked bar card: rank + dot, name, value, bar and percentage column.
+ *
+ * The folded "Other" row (`other: true`) is drawn in `theme.otherColor` and slightly dimmed;
+ * rows under 1% get a dimmer name colour. The name column widens for long names
+ * (down to a minimum bar length); names that still don't fit are ellipsized.
+ * The compact layout puts value and percentage after the name and a thin bar
+ * under it.
+ *
+ * @param {object} opts
+ * @param {object} opts.theme
+ * @param {string} opts.title
+ * @param {string} opts.subtitleLeft
+ * @param {string} opts.totalText
+ * @param {string} opts.topText
+ * @param {{ name: string, valueText: string, percent: number, other?: boolean }[]} opts.rows
+ * @param {{ label: string, active: boolean }[]} [opts.tabs] range strip drawn under the header
+ * @param {boolean} [opts.animate] entrance animations, see ANIMATION_CSS
+ * @param {boolean} [opts.compact] 450px layout, see COMPACT_WIDTH
+ * @param {object} [opts.i18n] createI18n() of the card's locale
+ */
+export function renderBarsCard({
+  theme,
+  title,
+  subtitleLeft,
+  totalText,
+  topText,
+  rows,
+  tabs,
+  animate = false,
+  compact = false,
+  i18n = createI18n(),
+}) {
+  const width = compact ? COMPACT_WIDTH : CARD_WIDTH;
+  const padding = PADDING;
+
+  const dividerY = compact ? DIVIDER_Y + COMPACT_HEADER_EXTRA : DIVIDER_Y;
+  const headerH = (compact ? HEADER_H + COMPACT_HEADER_EXTRA : HEADER_H) + (tabs?.length ? TAB_STRIP_H : 0);
+  const rowH = compact ? 40 : 34;
+
+  // Columns
+  const rankW = 46; // rank + dot area
+  const nameX = padding + rankW;
+  const pctColW = 82; // reserved column for percent text
+
+  const nameFont = { size: 14, weight: 650 };
+  const valueFont = { size: 13, weight: 650 };
+  const nameGap = 24;
+  const valueW = Math.ceil(Math.max(0, ...rows.map((r) => textWidth(r.valueText, valueFont))));
+  const nameW = Math.ceil(Math.max(0, ...rows.map((r) => textWidth(r.name, nameFont))));
+  const maxBarX = width - padding - pctColW - MIN_BAR_W;
+  const barX = Math.min(maxBarX, Math.max(380, nameX + nameW + nameGap + valueW + 16));
+  const nameMaxW = barX - 16 - valueW - nameGap - nameX;
+
+  const barW = width - barX - padding - pctColW;
+  const barH = 10;
+
+  // Compact rows: "#1 ● name   value  pct%" with the bar underneath
+  const compactPctW = Math.ceil(Math.max(0, ...rows.map((r) => textWidth(i18n.percent(r.percent), { size: 13, weight: 700 }))));
+  const compactValueX = width - padding - compactPctW - 12;
+  const compactNameW = compactValueX - valueW - nameGap - nameX;
+  const compactBarW = width - padding - nameX;
+
+  const height = headerH + rows.length * rowH + 30;
+
+  const svgRows = rows
+    .map((r, i) => {
+      const y = headerH + i * rowH;
+      const isOther = Boolean(r.other);
+
+      const color = isOther ? theme.otherColor || theme.accent : theme.bars[i % theme.bars.length];
+      const barOpacity = isOther ? 0.85 : 0.95;
+
+      const pct = Math.max(0, Math.min(1, r.percent / 100));
+      const fillW = Math.round(barW * pct);
+
+      const dotCx = padding + 28;
+      const dotCy = y - 6;
+
+      const isTiny = r.percent < 1;
+      const nameColor = isTiny ? theme.textDim || theme.text : theme.text;
+
+      if (compact) {
+        return `
+      <g role="listitem">
+        <circle cx="${dotCx}" cy="${dotCy}" r="5" fill="${color}" opacity="${barOpacity}"/>
+        <text x="${padding}" y="${y}" fill="${theme.muted}" font-size="12" font-weight="750"
+              font-family="${FONT}">#${i18n.number(i + 1)}</text>
+
+        <text x="${nameX}" y="${y}" fill="${nameColor}" font-size="14" font-weight="650"
+              font-family="${FONT}">${fitText(r.name, compactNameW, nameFont)}</text>
+
+        <text x="${compactValueX}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="650"
+              font-family="${FONT}"${anim(animate, "fade-in", 300 + i * 70)}>${escapeXml(r.valueText)}</text>
+
+        <text x="${width - padding}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="700"
+              font-family="${FONT}"${anim(animate, "fade-in", 300 + i * 70)}>${i18n.percent(r.percent)}</text>
+
+        <rect x="${nameX}" y="${y + 7}" rx="3" ry="3" width="${compactBarW}" height="5" fill="${theme.barBg}" opacity="0.95"/>
+        <rect x="${nameX}" y="${y + 7}" rx="3" ry="3" width="${Math.round(compactBarW * pct)}" height="5" fill="${color}" opacity="${barOpacity}" filter="url(#barGlow)"${anim(animate, "grow-x", i * 70)} />
+      </g>`;
+      }
+
+      return `
+      <g role="listitem">
+        <circle cx="${dotCx}" cy="${dotCy}" r="5" fill="${color}" opacity="${barOpacity}"/>
+        <text x="${padding}" y="${y}" fill="${theme.muted}" font-size="12" font-weight="750"
+              font-family="${FONT}">#${i18n.number(i + 1)}</text>
+
+        <text x="${nameX}" y="${y}" fill="${nameColor}" font-size="14" font-weight="650"
+              font-family="${FONT}">${fitText(r.name, nameMaxW, nameFont)}</text>
+
+        <text x="${barX - 16}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="650"
+              font-family="${FONT}"${anim(animate, "fade-in", 300 + i * 70)}>${escapeXml(r.valueText)}</text>
+
+        <rect x="${barX}" y="${y - 12}" rx="6" ry="6" width="${barW}" height="${barH}" fill="${theme.barBg}" opacity="0.95"/>
+        <rect x="${barX}" y="${y - 12}" rx="6" ry="6" width="${fillW}" height="${barH}" fill="${color}" opacity="${barOpacity}" filter="url(#barGlow)"${anim(animate, "grow-x", i * 70)} />
+
+        <text x="${width - padding}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="700"
+              font-family="${FONT}"${anim(animate, "fade-in", 300 + i * 70)}>${i18n.percent(r.percent)}</text>
+      </g>`;
+    })
+    .join("\n");
+
+  return `${svgOpen({ width, height, title, desc: cardSummary("bars", { totalText, rows, i18n }) })}
+  ${svgDefs(theme, { animate })}
+  ${baseCard({ width, height })}
+
+  ${cardHeader(theme, { width, title, subtitleLeft, totalText, topText, compact })}
+${tabs?.length ? tabStrip(theme, { x: padding, y: dividerY + 14, tabs }) : ""}
+  <g role="list">${svgRows}
+  </g>
+</svg>`;
+}
+
+// Shortest bar track the name column may squeeze the bars down to
+const MIN_BAR_W = 260;
+
+const TAB_STRIP_H = 40;
+
+// Pills like "7d | 30d | All", the active one filled with the accent colour
+function tabStrip(theme, { x, y, tabs }) {
+  let cx = x;
+  return tabs
+    .map(({ label, active }) => {
+      // Measured at the active weight so pills keep their size across range files
+      const w = Math.round(textWidth(label, { size: 12, weight: 800 }) + 24);
+      const pill = `
+  <rect x="${cx}" y="${y}" width="${w}" height="24" rx="12" ry="12"
+        fill="${active ? theme.accent : "none"}" stroke="${active ? theme.accent : theme.stroke}" stroke-width="1" opacity="${active ? 0.95 : 0.8}"/>
+  <text x="${cx + w / 2}" y="${y + 16}" text-anchor="middle" fill="${active ? theme.bg1 : theme.muted}" font-size="12" font-weight="${active ? 800 : 650}"
+        font-family="${FONT}">${escapeXml(label)}</text>`;
+      cx += w + 8;
+      return pill;
+    })
+    .join("");
+}
+
+const HEAT_LEVELS = { NONE: 0, FIRST_QUARTILE: 1, SECOND_QUARTILE: 2, THIRD_QUARTILE: 3, FOURTH_QUARTILE: 4 };
+const HEAT_OPACITY = [0, 0.3, 0.5, 0.75, 1];
+
+function heatLevel(day, max) {
+  if (day.level && HEAT_LEVELS[day.level] !== undefined) return HEAT_LEVELS[day.level];
+  if (day.count <= 0 || max <= 0) return 0;
+  return Math.min(4, Math.ceil((day.count / max) * 4));
+}
+
+function heatCell(theme, { x, y, size, level, attrs = "" }) {
+  if (level === 0) {
+    return `<rect x="${x}" y="${y}" width="${size}" height="${size}" rx="2.5" ry="2.5" fill="${theme.barBg}"${attrs}/>`;
+  }
+  return `<rect x="${x}" y="${y}" width="${size}" height="${size}" rx="2.5" ry="2.5" fill="${theme.accent}" opacity="${HEAT_OPACITY[level]}"${attrs}/>`;
+}
+
+/**
+ * Contribution heatmap: one column per week (Sunday first), month and weekday
+ * labels, a Less/More legend and free-form stat lines under the grid.
+ * Cells shrink to fit the card width, so compact cards should get about
+ * half a year of days.
+ *
+ * @param {object} opts
+ * @param {object} opts.theme
+ * @param {string} opts.title
+ * @param {string} opts.subtitleLeft
+ * @param {string} opts.totalText
+ * @param {string} opts.topText
+ * @param {{ date: string, weekday: number, count: number, level?: string }[]} opts.days
+ * @param {string[]} [opts.stats]
+ * @param {boolean} [opts.animate] entrance animations, see ANIMATION_CSS
+ * @param {boolean} [opts.compact] 450px layout, see COMPACT_WIDTH
+ * @param {object} [opts.i18n] createI18n() of the card's locale
+ */
+export function renderHeatmapCard({
+  theme,
+  title,
+  subtitleLeft,
+  totalText,
+  topText,
+  days,
+  stats = [],
+  animate = false,
+  compact = false,
+  i18n = createI18n(),
+}) {
+  const width = compact ? COMPACT_WIDTH : CARD_WIDTH;
+  const padding = PADDING;
+  const headerH = compact ? HEADER_H + COMPACT_HEADER_EXTRA : HEADER_H;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const first = days[0] ? Date.parse(`${days[0].date}T00:00:00Z`) - days[0].weekday * dayMs : 0;
+  const weekOf = (d) => Math.floor((Date.parse(`${d.date}T00:00:00Z`) - first) / dayMs / 7);
+  const weeks = days.length ? weekOf(days[days.length - 1]) + 1 : 0;
+
+  // Grid geometry: weekday labels on the left, cells fill the rest
+  const gridX = padding + 34;
+  const gridY = headerH + 10;
+  const step = Math.min(15, Math.floor((width - gridX - padding) / Math.max(weeks, 1)));
+  const cell = step - 3;
+
+  const max = Math.max(0, ...days.map((d) => d.count));
+
+  const cells = days
+    .map((d) =>
+      heatCell(theme, {
+        x: gridX + weekOf(d) * step,
+        y: gridY + d.weekday * step,
+        size: cell,
+        level: heatLevel(d, max),
+        attrs: anim(animate, "fade-in", weekOf(d) * 12), // sweeps in week by week
+      })
+    )
+    .join("\n    ");
+
+  // Month label above the first column that starts in a new month
+  let lastMonth = null;
+  const months = [];
+  for (const d of days) {
+    const month = d.date.slice(0, 7);
+    if (month === lastMonth || Number(d.date.slice(8, 10)) > 7) continue;
+    lastMonth = month;
+    months.push(`<text x="${gridX + weekOf(d) * step}" y="${headerH}" fill="${theme.muted}" font-size="11" font-weight="650"
+        font-family="${FONT}">${escapeXml(i18n.month(d.date))}</text>`);
+  }
+
+  // Mon, Wed, Fri
+  const weekdays = [1, 3, 5]
+    .map(
+      (i) => `<text x="${padding}" y="${gridY + i * step + cell - 1}" fill="${theme.muted}" font-size="10" font-weight="650"
+        font-family="${FONT}">${fitText(i18n.weekday(i), gridX - padding - 4, { size: 10, weight: 650 })}</text>`
+    )
+    .join("\n  ");
+
+  const footerY = gridY + 7 * step + 24;
+
+  // Legend (right-aligned): Less [0][1][2][3][4] More
+  const less = i18n.t("heatmap.less");
+  const more = i18n.t("heatmap.more");
+  const legendX = width - padding - 5 * step - Math.max(36, Math.ceil(textWidth(more, { size: 11, weight: 650 })) + 5);
+  const legend = `<text x="${legendX - 8}" y="${footerY}" text-anchor="end" fill="${theme.muted}" font-size="11" font-weight="650"
+        font-family="${FONT}">${escapeXml(less)}</text>
+  ${[0, 1, 2, 3, 4].map((level, i) => heatCell(theme, { x: legendX + i * step, y: footerY - cell + 1, size: cell, level })).join("\n  ")}
+  <text x="${legendX + 5 * step + 5}" y="${footerY}" fill="${theme.muted}" font-size="11" font-weight="650"
+        font-family="${FONT}">${escapeXml(more)}</text>`;
+
+  // The first stat line shares its row with the legend
+  const statFont = { size: 12, weight: 650 };
+  const legendLeft = legendX - 8 - textWidth(less, { size: 11, weight: 650 }) - 16;
+  const statLines = stats
+    .map(
+      (line, i) => `<text x="${padding}" y="${footerY + i * 20}" fill="${theme.text}" font-size="12" font-weight="650"
+        font-family="${FONT}"${anim(animate, "fade-in", 700 + i * 100)}>${fitText(line, (i === 0 ? legendLeft : width - padding) - padding, statFont)}</text>`
+    )
+    .join("\n  ");
+
+  const height = footerY + Math.max(0, stats.length - 1) * 20 + 30;
+
+  return `${svgOpen({ width, height, title, desc: cardSummary("heatmap", { totalText, topText, days, stats, i18n }) })}
+  ${svgDefs(theme, { animate })}
+  ${baseCard({ width, height })}
+
+  ${cardHeader(theme, { width, title, subtitleLeft, totalText, topText, compact })}
+
+  ${months.join("\n  ")}
+  ${weekdays}
+
+  ${cells}
+
+  ${statLines}
+  ${legend}
+</svg>`;
+}
+
+/**
+ * Daily stacked column chart: one column per day split into series segments
+ * (bottom-up in series order), a dashed average line, weekday letters under
+ * every column and a date under each Monday, plus a series legend that wraps
+ * onto more lines when it doesn't fit.
+ *
+ * @param {object} opts
+ * @param {object} opts.theme
+ * @param {string} opts.title
+ * @param {string} opts.subtitleLeft
+ * @param {string} opts.totalText
+ * @param {string} opts.topText
+ * @param {{ weekdayText: string, dateText?: string, label?: string, totalText?: string, values: number[] }[]} opts.days
+ *   `label` and `totalText` (e.g. "Mon, Oct 13, 2026" and "2h 5m") name each day in the text alternative
+ * @param {{ name: string, color: string }[]} opts.series
+ * @param {number} opts.average same unit as the values
+ * @param {string} opts.averageText
+ * @param {boolean} [opts.animate] entrance animations, see ANIMATION_CSS
+ * @param {boolean} [opts.compact] 450px layout, see COMPACT_WIDTH
+ * @param {object} [opts.i18n] createI18n() of the card's locale
+ */
+export function renderDailyChartCard({
+  theme,
+  title,
+  subtitleLeft,
+  totalText,
+  topText,
+  days,
+  series,
+  average,
+  averageText,
+  animate = false,
+  compact = false,
+  i18n = createI18n(),
+}) {
+  const width = compact ? COMPACT_WIDTH : CARD_WIDTH;
+  const padding = PADDING;
+  const headerH = compact ? HEADER_H + COMPACT_HEADER_EXTRA : HEADER_H;
+
+  const chartX = padding;
+  const chartW = width - padding * 2;
+  const chartTop = headerH + 8;
+  const chartH = 170;
+  const chartBottom = chartTop + chartH;
+
+  const slot = chartW / Math.max(days.length, 1);
+  const colW = Math.max(4, Math.min(22, Math.floor(slot - 6)));
+  const totals = days.map((d) => d.values.reduce((a, v) => a + v, 0));
+  const scale = chartH / (Math.max(average, ...totals) || 1);
+
+  const columns = days
+    .map((d, i) => {
+      const x = fixed(chartX + i * slot + (slot - colW) / 2);
+      const cx = fixed(x + colW / 2);
+
+      let top = chartBottom;
+      const segments = d.values
+        .map((v, j) => {
+          const h = fixed(v * scale);
+          if (h <= 0) return "";
+          top = fixed(top - h);
+          return `<rect x="${x}" y="${top}" width="${colW}" height="${h}" rx="2" ry="2" fill="${series[j].color}" opacity="0.95" filter="url(#barGlow)"${anim(animate, "grow-y", i * 25)}/>`;
+        })
+        .join("\n        ");
+
+      const dateLabel = d.dateText
+        ? `
+        <text x="${cx}" y="${chartBottom + 32}" text-anchor="middle" fill="${theme.textDim || theme.muted}" font-size="10" font-weight="650"
+              font-family="${FONT}">${escapeXml(d.dateText)}</text>`
+        : "";
+
+      return `
+        <rect x="${x}" y="${chartTop}" width="${colW}" height="${chartH}" rx="2" ry="2" fill="${theme.barBg}" opacity="0.45"/>
+        ${segments}
+        <text x="${cx}" y="${chartBottom + 17}" text-anchor="middle" fill="${theme.muted}" font-size="10" font-weight="700"
+              font-family="${FONT}">${escapeXml(d.weekdayText)}</text>${dateLabel}`;
+    })
+    .join("\n");
+
+  const avgY = fixed(chartBottom - average * scale);
+  const avgLine = `<line x1="${chartX}" y1="${avgY}" x2="${chartX + chartW}" y2="${avgY}"
+        stroke="${theme.accent}" stroke-width="1.5" stroke-dasharray="6 4" opacity="0.9"${anim(animate, "fade-in", 900)}/>
+  <text x="${chartX + chartW}" y="${avgY - 6}" text-anchor="end" fill="${theme.accentText}" font-size="11" font-weight="800"
+        font-family="${FONT}"${anim(animate, "fade-in", 900)}>${escapeXml(averageText)}</text>`;
+
+  // Legend: dot + name per series, left to right, wrapping at the card edge
+  let legendY = chartBottom + 58;
+  let lx = padding;
+  const legend = series
+    .map(({ name, color }) => {
+      const itemW = 16 + Math.round(textWidth(name, { size: 12, weight: 650 }));
+      if (lx > padding && lx + itemW > width - padding) {
+        lx = padding;
+        legendY += 22;
+      }
+      const item = `<circle cx="${lx + 5}" cy="${legendY - 4}" r="5" fill="${color}" opacity="0.95"/>
+  <text x="${lx + 16}" y="${legendY}" fill="${theme.text}" font-size="12" font-weight="650"
+        font-family="${FONT}">${fitText(name, width - padding - lx - 16, { size: 12, weight: 650 })}</text>`;
+      lx += itemW + 22;
+      return item;
+    })
+    .join("\n  ");
+
+  const height = legendY + 26;
+  const desc = cardSummary("daily", { totalText, topText, days, series, averageText, i18n });
+
+  return `${svgOpen({ width, height, title, desc })}
+  ${svgDefs(theme, { animate })}
+  ${baseCard({ width, height })}
+
+  ${cardHeader(theme, { width, title, subtitleLeft, totalText, topText, compact })}
+  ${columns}
+
+  ${avgLine}
+
+  ${legend}
+</svg>`;
+}
+
+// GitHub's "repo-forked" octicon (16×16, MIT). Drawn as a path: no bundled PNG
+// font has a fork character, so "⑂" came out as a missing-glyph box.
+const FORK_ICON =
+  "M5 5.372v.878c0 .414.336.75.75.75h4.5a.75.75 0 0 0 .75-.75v-.878a2.25 2.25 0 1 1 1.5 0v.878a2.25 2.25 0 0 1-2.25 2.25h-1.5v2.128a2.251 2.251 0 1 1-1.5 0V8.5h-1.5A2.25 2.25 0 0 1 3.5 6.25v-.878a2.25 2.25 0 1 1 1.5 0ZM5 3.25a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Zm6.75.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm-3 8.75a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Z";
+
+/**
+ * Repository list: one grid-style box per repo with a language-coloured strip,
+ * name + description on the left and stars, forks and last push on the right.
+ * The compact layout keeps only the stars.
+ *
+ * @param {object} opts
+ * @param {object} opts.theme
+ * @param {string} opts.title
+ * @param {string} opts.subtitleLeft
+ * @param {string} opts.totalText
+ * @param {string} opts.topText
+ * @param {{ name: string, description?: string, language?: string, color?: string,
+ *           starsText: string, forksText: string, pushedText: string }[]} opts.repos
+ * @param {boolean} [opts.animate] entrance animations, see ANIMATION_CSS
+ * @param {boolean} [opts.compact] 450px layout, see COMPACT_WIDTH
+ * @param {object} [opts.i18n] createI18n() of the card's locale
+ */
+export function renderRepoListCard({
+  theme,
+  title,
+  subtitleLeft,
+  totalText,
+  topText,
+  repos,
+  animate = false,
+  compact = false,
+  i18n = createI18n(),
+}) {
+  const width = compact ? COMPACT_WIDTH : CARD_WIDTH;
+  const padding = PADDING;
+  const headerH = (compact ? HEADER_H + COMPACT_HEADER_EXTRA : HEADER_H) - 14;
+
+  const boxH = 54;
+  const gap = 10;
+  const boxW = width - padding * 2;
+
+  // Right-hand columns (end-anchored)
+  const pushedX = padding + boxW - 18;
+  const forksX = pushedX - 96;
+  const starsX = compact ? pushedX : forksX - 76;
+
+  const height = headerH + repos.length * (boxH + gap) + 20;
+
+  const rows = repos
+    .map((r, i) => {
+      const x = padding;
+      const y = headerH + i * (boxH + gap);
+      const color = r.color || theme.bars[i % theme.bars.length];
+      // No-break space: resvg drops an ordinary one at the start of the <tspan>
+      const lang = r.language ? `\u00a0• ${r.language}` : "";
+
+      // Name and description stop short of the stars column
+      const starsW = textWidth(`★ ${r.starsText}`, { size: 13, weight: 750 });
+      const textW = starsX - starsW - 24 - (x + 52);
+      const langW = textWidth(lang, { size: 12, weight: 650 });
+
+      // Fork icon left of the end-anchored count
+      const forkIconX = fixed(forksX - textWidth(r.forksText, { size: 13, weight: 700 }) - 16);
+      const forksAndPushed = compact
+        ? ""
+        : `
+        <path transform="translate(${forkIconX} ${y + 22}) scale(0.75)" d="${FORK_ICON}" fill="${theme.muted}"${anim(animate, "fade-in", 200 + i * 80)}/>
+        <text x="${forksX}" y="${y + 33}" text-anchor="end" fill="${theme.muted}" font-size="13" font-weight="700"
+              font-family="${FONT}"${anim(animate, "fade-in", 200 + i * 80)}>${escapeXml(r.forksText)}</text>
+
+        <text x="${pushedX}" y="${y + 33}" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="650"
+              font-family="${FONT}">${escapeXml(r.pushedText)}</text>
+`;
+
+      return `
+      <g role="listitem">
+        <rect x="${x}" y="${y}" rx="14" ry="14" width="${boxW}" height="${boxH}"
+              fill="${theme.barBg}" opacity="0.92" />
+        <rect x="${x}" y="${y}" rx="14" ry="14" width="6" height="${boxH}"
+              fill="${color}" opacity="0.95" />
+
+        <text x="${x + 18}" y="${y + 23}" fill="${theme.muted}" font-size="12" font-weight="750"
+              font-family="${FONT}">#${i18n.number(i + 1)}</text>
+        <circle cx="${x + 24}" cy="${y + 37}" r="5" fill="${color}" opacity="0.95"/>
+
+        <text x="${x + 52}" y="${y + 23}" fill="${theme.text}" font-size="14" font-weight="800"
+              font-family="${FONT}">${fitText(r.name, textW - langW, { size: 14, weight: 800 })}<tspan fill="${theme.muted}" font-size="12" font-weight="650">${escapeXml(lang)}</tspan></text>
+
+        <text x="${x + 52}" y="${y + 42}" fill="${theme.muted}" font-size="12" font-weight="600"
+              font-family="${FONT}">${fitText(r.description || i18n.t("repos.noDescription"), textW, { size: 12, weight: 600 })}</text>
+
+        <text x="${starsX}" y="${y + 33}" text-anchor="end" fill="${theme.text}" font-size="13" font-weight="750"
+              font-family="${FONT}"${anim(animate, "fade-in", 200 + i * 80)}>★ ${escapeXml(r.starsText)}</text>
+${forksAndPushed}      </g>`;
+    })
+    .join("\n");
+
+  return `${svgOpen({ width, height, title, desc: cardSummary("repos", { totalText, repos, i18n }) })}
+  ${svgDefs(theme, { animate })}
+  ${baseCard({ width, height })}
+
+  ${cardHeader(theme, { width, title, subtitleLeft, totalText, topText, compact })}
+
+  <g role="list">${rows}
+  </g>
+</svg>`;
+}
+
+const LAYOUTS = {
+  grid: renderGridStatsCard,
+  bars: renderBarsCard,
+  heatmap: renderHeatmapCard,
+  daily: renderDailyChartCard,
+  repos: renderRepoListCard,
+};
+
+// Right-to-left cards: one group mirrors the layout (x => width - x) and every
+// text is flipped back around its own x so glyphs read normally. Start and end
+// anchors swap sides. Each text is a bidi isolate (U+2068 .. U+2069) that takes
+// its direction from its first letter, so Persian labels read right to left and
+// a Latin repo name or description keeps its punctuation in place. Not
+// direction="rtl": resvg ignores it and browsers would flip the anchors again.
+const FLIP_ANCHOR = { start: "end", end: "start", middle: "middle" };
+
+function mirrorRtl(svg) {
+  const { width } = /<svg\b[^>]*?\swidth="(?<width>[\d.]+)"/.exec(svg).groups;
+  return svg
+    .replace("</desc>", `</desc>\n  <g transform="matrix(-1 0 0 1 ${width} 0)">`)
+    .replace(/<\/svg>\s*$/, "</g>\n</svg>")
+    .replace(/<text x="([\d.-]+)"([^>]*)>([\s\S]*?)<\/text>/g, (m, x, attrs, content) => {
+      const anchor = /\stext-anchor="(\w+)"/.exec(attrs)?.[1] || "start";
+      const rest = attrs.replace(/\stext-anchor="\w+"/, "");
+      return `<text transform="matrix(-1 0 0 1 ${fixed(2 * x)} 0)" x="${x}" text-anchor="${FLIP_ANCHOR[anchor]}"${rest}>\u2068${content}\u2069</text>`;
+    });
+}
+
+/**
+ * Renders a card with one of the layouts above and returns the SVG together
+ * with its text alternatives (see alt.mjs): the Markdown table and a one-line
+ * `alt` for image embeds. Cards in a right-to-left locale come out mirrored.
+ *
+ * @param {"grid" | "bars" | "heatmap" | "daily" | "repos"} layout
+ * @param {object} opts the layout renderer's options
+ * @returns {{ svg: string, markdown: string, alt: string }}
+ */
+export function renderCard(layout, opts) {
+  const svg = LAYOUTS[layout](opts);
+  return {
+    svg: opts.i18n?.dir === "rtl" ? mirrorRtl(svg) : svg,
+    markdown: cardMarkdown(layout, opts),
+    alt: `${opts.title}: ${cardSummary(layout, opts)}`,
+  };
+}
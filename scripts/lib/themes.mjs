@@ -0,0 +1,216 @@
+import fs from "fs";
+
+// Named theme presets. `mode` tells which README colour scheme a theme is meant for.
+export const THEMES = {
+  // Professional theme (GitHub-friendly, no neon pink)
+  professional: {
+    mode: "dark",
+    bg1: "#0B1220",
+    bg2: "#111827",
+    title: "#E5E7EB",
+    text: "#E5E7EB",
+    textDim: "#CBD5E1",
+    muted: "#94A3B8",
+    barBg: "#1F2937",
+    stroke: "#334155",
+    accent: "#0EA5E9",
+    otherColor: "#0EA5E9",
+    bars: ["#0EA5E9", "#22C55E", "#A78BFA", "#F59E0B", "#38BDF8", "#14B8A6", "#EAB308"],
+  },
+
+  // Radical theme (subtle + clean)
+  radical: {
+    mode: "dark",
+    bg1: "#141321",
+    bg2: "#1a1b27",
+    title: "#ff4d6d",
+    text: "#e4e4e7",
+    textDim: "#cbd5e1",
+    muted: "#9aa4bf",
+    barBg: "#2a2b3d",
+    stroke: "#334155",
+    accent: "#ff4d6d",
+    otherColor: "#ff4d6d", // keep same hue, just reduce opacity for "Other"
+    bars: ["#ff4d6d", "#f1fa8c", "#8be9fd", "#50fa7b", "#bd93f9", "#ffb86c", "#ff79c6"],
+  },
+
+  // GitHub light (Primer colours), the default light-mode pair
+  "github-light": {
+    mode: "light",
+    bg1: "#ffffff",
+    bg2: "#f6f8fa",
+    title: "#1f2328",
+    text: "#1f2328",
+    textDim: "#424a53",
+    muted: "#59636e",
+    barBg: "#eaeef2",
+    stroke: "#d1d9e0",
+    accent: "#0969da",
+    otherColor: "#0969da",
+    bars: ["#0969da", "#1a7f37", "#8250df", "#9a6700", "#bc4c00", "#1b7c83", "#cf222e"],
+  },
+};
+
+const REQUIRED_KEYS = ["bg1", "bg2", "title", "text", "muted", "barBg", "stroke", "accent", "bars"];
+
+export const DEFAULT_LIGHT_THEME = "github-light";
+
+// WCAG AA per text colour: the surfaces it's drawn on and the minimum ratio.
+// Titles are 22px bold, which counts as large text (3:1); everything else is small (4.5:1).
+const TEXT_CONTRAST = {
+  title: { on: ["bg1", "bg2"], min: 3 },
+  text: { on: ["bg1", "bg2", "barBg"], min: 4.5 },
+  textDim: { on: ["bg1", "bg2", "barBg"], min: 4.5 },
+  muted: { on: ["bg1", "bg2", "barBg"], min: 4.5 },
+};
+
+function parseHex(color) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!m) return null;
+  const hex = m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function toHex(rgb) {
+  return `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function luminance(rgb) {
+  const [r, g, b] = rgb.map((v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio (1..21) between two hex colours, or null when either isn't "#rgb"/"#rrggbb".
+ */
+export function contrastRatio(a, b) {
+  const ca = parseHex(a);
+  const cb = parseHex(b);
+  if (!ca || !cb) return null;
+  const [hi, lo] = [luminance(ca), luminance(cb)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+// Mixes `color` towards white (dark surfaces) or black (light ones) in small steps
+// until it reaches `min` against every surface. Non-hex colours are left alone.
+function readableOn(color, surfaces, min) {
+  const rgb = parseHex(color);
+  const bgs = surfaces.map(parseHex).filter(Boolean);
+  if (!rgb || !bgs.length) return color;
+
+  const worst = (c) => Math.min(...bgs.map((bg) => contrastRatio(toHex(c), toHex(bg))));
+  if (worst(rgb) >= min) return color;
+
+  const darkSurfaces = bgs.reduce((a, bg) => a + luminance(bg), 0) / bgs.length < 0.5;
+  const target = darkSurfaces ? 255 : 0;
+  for (let t = 0.05; t <= 1; t += 0.05) {
+    const mixed = rgb.map((v) => v + (target - v) * t);
+    if (worst(mixed) >= min) return toHex(mixed);
+  }
+  return toHex([target, target, target]);
+}
+
+/**
+ * Lifts the theme's text colours to WCAG AA contrast against its backgrounds.
+ * Colours that already pass are kept exactly.
+ *
+ * Bars and the accent stay as they are for fills; text drawn in them uses the
+ * lifted copies `barsText` (stats card trend deltas, on barBg) and `accentText`
+ * (the daily chart's average label, over the chart).
+ */
+export function accessibleTheme(theme) {
+  const out = { ...theme };
+  for (const [key, { on, min }] of Object.entries(TEXT_CONTRAST)) {
+    if (theme[key]) out[key] = readableOn(theme[key], on.map((k) => theme[k]).filter(Boolean), min);
+  }
+  out.barsText = theme.bars.map((color) => readableOn(color, [theme.barBg], 4.5));
+  out.accentText = readableOn(theme.accent, [theme.bg1, theme.bg2, theme.barBg], 4.5);
+  return out;
+}
+
+/**
+ * Reads user-defined themes from a JSON file of `{ name: theme }`.
+ * A theme may set `extends` to a preset name and override only some colours.
+ * Returns {} when the file does not exist.
+ */
+export function loadUserThemes(file) {
+  if (!file || !fs.existsSync(file)) return {};
+
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid themes file ${file}: ${e.message}`);
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error(`Invalid themes file ${file}: expected an object of { name: theme }`);
+  }
+  return json;
+}
+
+/**
+ * Resolves a theme by name from the presets and user themes (user themes win).
+ * Text colours are adjusted where needed to meet WCAG AA, see accessibleTheme().
+ */
+export function resolveTheme(name, userThemes = {}, seen = []) {
+  const def = userThemes[name] || THEMES[name];
+  if (!def) {
+    const names = [...new Set([...Object.keys(THEMES), ...Object.keys(userThemes)])];
+    throw new Error(`Unknown theme "${name}" (available: ${names.join(", ")})`);
+  }
+  if (seen.includes(name)) {
+    throw new Error(`Theme "${name}" extends itself (${[...seen, name].join(" -> ")})`);
+  }
+
+  const { extends: parent, ...own } = def;
+  const theme = parent ? { ...resolveTheme(parent, userThemes, [...seen, name]), ...own } : { ...own };
+
+  const missing = REQUIRED_KEYS.filter((k) => theme[k] == null);
+  if (missing.length) {
+    throw new Error(`Theme "${name}" is missing: ${missing.join(", ")}`);
+  }
+  if (!Array.isArray(theme.bars) || theme.bars.length === 0) {
+    throw new Error(`Theme "${name}": "bars" must be a non-empty array of colours`);
+  }
+
+  theme.mode = theme.mode || "dark";
+  return accessibleTheme(theme);
+}
+
+/**
+ * Theme variants to render for every card.
+ * The primary theme keeps the plain file name; the light pair gets a "-light" suffix.
+ * Pass light: "none" to only render the primary theme.
+ */
+export function themeVariants({ theme, light = DEFAULT_LIGHT_THEME, themesFile }) {
+  const userThemes = loadUserThemes(themesFile);
+  const variants = [{ suffix: "", theme: resolveTheme(theme, userThemes) }];
+
+  if (light && light !== "none" && light !== theme) {
+    variants.push({ suffix: "-light", theme: resolveTheme(light, userThemes) });
+  }
+  return variants;
+}
+
+/**
+ * "assets/github-stats.svg" + "-light" => "assets/github-stats-light.svg"
+ */
+export function variantPath(file, suffix) {
+  if (!suffix) return file;
+  return file.replace(/(\.[^./\\]+)?$/, `${suffix}$1`);
+}
+
+/**
+ * Variants for one config section ("github" or "wakatime"). CARDS_THEME,
+ * CARDS_LIGHT_THEME and CARDS_THEMES_FILE in `env` override the config.
+ */
+export function sourceVariants(config, source, env = process.env) {
+  return themeVariants({
+    theme: env.CARDS_THEME || config[source].theme,
+    light: env.CARDS_LIGHT_THEME || config.themes.light,
+    themesFile: env.CARDS_THEMES_FILE || config.themes.file,
+  });
+}
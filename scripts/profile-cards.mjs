@@ -0,0 +1,366 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { cardPath, loadConfig } from "./lib/config.mjs";
+import { sourceVariants, variantPath } from "./lib/themes.mjs";
+import { providerFromEnv } from "./lib/providers.mjs";
+import { markdownPath, previewCards, writeCards } from "./lib/output.mjs";
+import { readHistory, writeHistory } from "./lib/history.mjs";
+import { cardBlocks, findBlocks, updateReadme } from "./lib/readme.mjs";
+import { missingPngs, writePngs } from "./lib/raster.mjs";
+import { generateDashboards } from "./lib/dashboard.mjs";
+import { createI18n } from "./lib/i18n.mjs";
+import { generateGitHubCards } from "./github-cards.mjs";
+import { generateWakaTimeCards, wakaTimeCardPaths } from "./wakatime-cards.mjs";
+
+// One entry point for every card source.
+//
+//   node scripts/profile-cards.mjs generate [--only stats,langs] [--dry-run] [--out dir] [--fixtures dir]
+//   node scripts/profile-cards.mjs list
+//   node scripts/profile-cards.mjs validate
+//
+// Dashboards (see dashboard.mjs) are rebuilt after the sources whenever one of
+// their cards was rendered; cards from sources that didn't run are read from disk.
+// A dashboard is skipped (not failed) until all of its card files exist, and
+// --no-dashboards leaves them to another run, e.g. when sources run in separate jobs.
+
+const USAGE = `Usage: node scripts/profile-cards.mjs <command> [options]
+
+Commands:
+  generate   render the cards (and the dashboards using them) and write them to the output dir
+  list       show the configured cards and their output files
+  validate   check the config, themes and README markers without calling any API
+
+Options:
+  --config <file>    card config (default: $CARDS_CONFIG or cards.config.json)
+  --source <name>    only run one source: github or wakatime
+  --only <ids>       comma-separated card ids, e.g. stats,langs or wakatime.langs
+  --out <dir>        write cards here instead of the config's outDir
+  --fixtures <dir>   replay recorded API responses (same as CARDS_FIXTURES)
+  --png              also write PNGs at 1x and 2x (on by default with "png" in the config)
+  --no-dashboards    don't rebuild the dashboards
+  --dry-run          render and print what would change, write nothing
+  -h, --help         show this help`;
+
+const OPTIONS = {
+  config: { type: "string" },
+  source: { type: "string" },
+  only: { type: "string" },
+  out: { type: "string" },
+  fixtures: { type: "string" },
+  png: { type: "boolean" },
+  "no-dashboards": { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const SOURCES = {
+  github: {
+    label: "GitHub",
+    async generate({ config, provider, variants, dryRun, env }) {
+      const historyFile = config.github.history;
+      const { cards, history } = await generateGitHubCards({
+        config,
+        provider,
+        username: env.GH_USERNAME, // e.g. Shayan-02
+        variants,
+        history: readHistory(historyFile),
+      });
+
+      if (historyFile) {
+        if (dryRun) {
+          console.log(`Would write ${historyFile} (${history.length} days)`);
+        } else {
+          writeHistory(historyFile, history);
+          console.log(`Wrote ${historyFile} (${history.length} days)`);
+        }
+      }
+      if (provider.budgetSummary) console.log(provider.budgetSummary());
+      return cards;
+    },
+    paths: (config, card) => [cardPath(config, card)],
+  },
+  wakatime: {
+    label: "WakaTime",
+    async generate({ config, provider, variants }) {
+      const { cards } = await generateWakaTimeCards({ config, provider, variants });
+      return cards;
+    },
+    paths: wakaTimeCardPaths,
+  },
+};
+
+/**
+ * Narrows the config to the requested source and card ids.
+ * Sources with nothing left to render become null.
+ */
+function selectCards(config, { source, only }) {
+  if (source && !SOURCES[source]) {
+    throw new Error(`Unknown source "${source}" (expected: ${Object.keys(SOURCES).join(", ")})`);
+  }
+
+  const wanted = only ? only.split(",").map((s) => s.trim()).filter(Boolean) : null;
+  const matched = new Set();
+  const selected = { ...config };
+
+  for (const name of Object.keys(SOURCES)) {
+    if (!config[name] || (source && source !== name)) {
+      selected[name] = null;
+      continue;
+    }
+    const cards = config[name].cards.filter((card) => {
+      if (!wanted) return true;
+      const hits = wanted.filter((w) => w === card.id || w === `${name}.${card.id}`);
+      hits.forEach((w) => matched.add(w));
+      return hits.length > 0;
+    });
+    selected[name] = cards.length ? { ...config[name], cards } : null;
+  }
+
+  const unknown = (wanted || []).filter((w) => !matched.has(w));
+  if (unknown.length) {
+    throw new Error(`Unknown card id(s): ${unknown.join(", ")} (see: node scripts/profile-cards.mjs list)`);
+  }
+  return selected;
+}
+
+function activeSources(config) {
+  return Object.keys(SOURCES).filter((name) => config[name]);
+}
+
+// Primary output file of a "source.id" card reference
+function refPath(config, ref) {
+  const [source, id] = ref.split(".");
+  const card = config[source].cards.find((c) => c.id === id);
+  return SOURCES[source].paths(config, card)[0];
+}
+
+// Theme variants every source has, so each dashboard variant can use matching cards
+function dashboardVariants(config, env) {
+  const perSource = activeSources(config).map((name) => sourceVariants(config, name, env));
+  return perSource[0].filter((v) => perSource.every((variants) => variants.some((w) => w.suffix === v.suffix)));
+}
+
+/**
+ * Dashboards with at least one card among `rendered` (out path -> generated entry).
+ * Their other cards come from the files on disk.
+ */
+function renderDashboards(config, rendered, variants) {
+  const dashboards = config.dashboards.filter((db) =>
+    db.cards.some((ref) => variants.some((v) => rendered.has(variantPath(refPath(config, ref), v.suffix))))
+  );
+
+  return generateDashboards({
+    dashboards,
+    suffixes: variants.map((v) => v.suffix),
+    outFor: (dashboard) => cardPath(config, dashboard),
+    variantOut: variantPath,
+    cardFor: (ref, suffix) => {
+      const file = variantPath(refPath(config, ref), suffix);
+      if (rendered.has(file)) return rendered.get(file);
+      if (!fs.existsSync(file)) return { absent: `${file} not found` };
+      const md = markdownPath(file);
+      return { svg: fs.readFileSync(file, "utf8"), markdown: fs.existsSync(md) ? fs.readFileSync(md, "utf8") : undefined };
+    },
+  });
+}
+
+// Writes (or previews) one batch of rendered cards and their PNGs.
+// Returns the entries whose SVG changed.
+async function saveCards(cards, { label, png, dryRun }) {
+  let result;
+  if (dryRun) {
+    console.log(`${label} (dry run, nothing written):`);
+    result = previewCards(cards);
+    const { counts } = result;
+    console.log(`  ${counts.changed} changed, ${counts.new} new, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+  } else {
+    result = writeCards(cards);
+  }
+  if (png) await exportPngs(cards, result.changed, png, dryRun);
+  return result.changed;
+}
+
+async function generate(config, options, env) {
+  const dryRun = Boolean(options["dry-run"]);
+  const overrides = {
+    ...(options.out ? { outDir: options.out } : {}),
+    ...(options.png && !config.png ? { png: { scales: [1, 2], fonts: [] } } : {}),
+  };
+  const full = { ...config, ...overrides };
+  const selected = selectCards(full, options);
+  const sources = activeSources(selected);
+  if (!sources.length) throw new Error("No cards selected");
+
+  // Resolve themes first so a typo fails before any API calls
+  const jobs = sources.map((name) => ({ name, variants: sourceVariants(selected, name, env) }));
+
+  // A failing source (missing token, API down) doesn't stop the others
+  const failures = [];
+  const changedIds = new Set();
+  const blocks = new Map();
+  const rendered = new Map();
+  let now = null;
+  for (const { name, variants } of jobs) {
+    const { label } = SOURCES[name];
+    try {
+      const provider = providerFromEnv(name, env);
+      const cards = await SOURCES[name].generate({ config: selected, provider, variants, dryRun, env });
+      now = provider.now();
+      for (const entry of cards) rendered.set(entry.out, entry);
+      if (selected.readme) {
+        for (const [block, content] of cardBlocks(cards, variants, path.dirname(selected.readme))) blocks.set(block, content);
+      }
+
+      const changed = await saveCards(cards, { label, png: selected.png, dryRun });
+      // Light and dark variants of a card count once
+      for (const { card } of changed) changedIds.add(`${name}.${card.id}`);
+    } catch (e) {
+      failures.push(`${label}: ${e.message}`);
+    }
+  }
+
+  if (full.dashboards.length && rendered.size && !options["no-dashboards"]) {
+    try {
+      const variants = dashboardVariants(full, env);
+      const dashboards = renderDashboards(full, rendered, variants).filter((db) => {
+        if (db.skipped) console.log(`Skipped ${db.out} until its cards exist (${db.skipped})`);
+        return !db.skipped;
+      });
+      if (dashboards.length) {
+        if (selected.readme) {
+          for (const [block, content] of cardBlocks(dashboards, variants, path.dirname(selected.readme))) blocks.set(block, content);
+        }
+        const changed = await saveCards(dashboards, { label: "Dashboards", png: selected.png, dryRun });
+        for (const { card } of changed) changedIds.add(`dashboard.${card.id}`);
+      }
+    } catch (e) {
+      failures.push(`Dashboards: ${e.message}`);
+    }
+  }
+
+  if (selected.readme && now) {
+    try {
+      const changed = updateReadme(selected.readme, blocks, {
+        now,
+        cardsChanged: changedIds.size > 0,
+        dryRun,
+        i18n: createI18n(selected.locale),
+      });
+      if (changed.length) console.log(`${dryRun ? "Would update" : "Updated"} ${selected.readme} (${changed.join(", ")})`);
+    } catch (e) {
+      failures.push(`${selected.readme}: ${e.message}`);
+    }
+  }
+
+  reportChanged([...changedIds], env);
+  if (failures.length) throw new Error(failures.join("\n"));
+}
+
+// PNGs follow their SVG: redrawn when it changed, or when one is missing (e.g. png was just turned on)
+async function exportPngs(cards, changed, png, dryRun) {
+  const redraw = cards.filter((c) => c.svg != null && (changed.includes(c) || missingPngs(c.out, png.scales).length));
+  if (dryRun) {
+    if (redraw.length) console.log(`  Would write ${redraw.length * png.scales.length} PNG(s) at ${png.scales.join("x, ")}x`);
+    return;
+  }
+  await writePngs(redraw, png);
+}
+
+// Prints the changed card ids and, inside GitHub Actions, exposes them as the
+// step output `changed` (comma-separated, empty when nothing changed) for the commit message
+function reportChanged(ids, env) {
+  console.log(ids.length ? `Changed cards: ${ids.join(", ")}` : "No card changed");
+  if (env.GITHUB_OUTPUT) fs.appendFileSync(env.GITHUB_OUTPUT, `changed=${ids.join(", ")}\n`, "utf8");
+}
+
+function list(config, options, env) {
+  const selected = selectCards(config, options);
+
+  for (const name of activeSources(selected)) {
+    const section = selected[name];
+    const variants = sourceVariants(selected, name, env);
+    console.log(`${SOURCES[name].label} cards:`);
+
+    const idW = Math.max(...section.cards.map((c) => `${name}.${c.id}`.length));
+    const typeW = Math.max(...section.cards.map((c) => c.type.length));
+    for (const card of section.cards) {
+      const outs = SOURCES[name]
+        .paths(selected, card)
+        .flatMap((file) => variants.map((v) => variantPath(file, v.suffix)));
+      console.log(`  ${`${name}.${card.id}`.padEnd(idW)}  ${card.type.padEnd(typeW)}  ${outs.join(", ")}`);
+    }
+  }
+
+  if (config.dashboards.length && activeSources(config).length) {
+    const variants = dashboardVariants(config, env);
+    console.log("Dashboards:");
+    for (const dashboard of config.dashboards) {
+      const outs = variants.map((v) => variantPath(cardPath(config, dashboard), v.suffix));
+      console.log(`  dashboard.${dashboard.id}  ${dashboard.cards.join(" + ")}  ${outs.join(", ")}`);
+    }
+  }
+}
+
+// README blocks must be paired and name a configured card (or "updated")
+function checkReadme(config) {
+  if (!fs.existsSync(config.readme)) throw new Error(`readme: ${config.readme} not found`);
+
+  const known = new Set(["updated"]);
+  for (const name of activeSources(config)) {
+    for (const card of config[name].cards) {
+      for (const file of SOURCES[name].paths(config, card)) {
+        const block = path.basename(file).replace(/\.svg$/, "");
+        known.add(block).add(`${block}:picture`);
+      }
+    }
+  }
+  for (const dashboard of config.dashboards) {
+    const block = path.basename(cardPath(config, dashboard)).replace(/\.svg$/, "");
+    known.add(block).add(`${block}:picture`);
+  }
+
+  const blocks = findBlocks(fs.readFileSync(config.readme, "utf8"));
+  const unknown = blocks.filter((b) => !known.has(b.name)).map((b) => b.name);
+  if (unknown.length) throw new Error(`${config.readme}: unknown card block(s): ${unknown.join(", ")}`);
+  return blocks.length;
+}
+
+function validate(config, options, env) {
+  const summary = activeSources(config).map((name) => {
+    const variants = sourceVariants(config, name, env);
+    return `${config[name].cards.length} ${SOURCES[name].label} card(s), ${variants.length} theme variant(s)`;
+  });
+  if (config.dashboards.length) summary.push(`${config.dashboards.length} dashboard(s)`);
+  if (config.readme) summary.push(`${checkReadme(config)} README block(s)`);
+  console.log(`Config OK: ${summary.join("; ") || "no sources configured"}`);
+}
+
+const COMMANDS = { generate, list, validate };
+
+/**
+ * Runs the CLI with `argv` (without "node script"). Throws on failure.
+ */
+export async function run(argv = process.argv.slice(2), env = process.env) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  const cmd = COMMANDS[command];
+  if (!cmd) throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+
+  const cmdEnv = options.fixtures ? { ...env, CARDS_FIXTURES: options.fixtures } : env;
+  const config = loadConfig(options.config || env.CARDS_CONFIG);
+  await cmd(config, options, cmdEnv);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run().catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
+}
@@ -1,253 +1,291 @@
-import fs from "fs";
-import path from "path";
-import axios from "axios";
-
-const OUT_DIR = "assets";
-const OUT_LANGS = path.join(OUT_DIR, "wakatime-langs.svg");
-const OUT_EDITORS = path.join(OUT_DIR, "wakatime-editors.svg");
-const OUT_OS = path.join(OUT_DIR, "wakatime-os.svg");
-
-const API_KEY = process.env.WAKATIME_API_KEY;
-if (!API_KEY) {
-  console.error("Missing WAKATIME_API_KEY");
-  process.exit(1);
-}
-
-// Radical theme (subtle + clean)
-const theme = {
-  bg1: "#141321",
-  bg2: "#1a1b27",
-  title: "#ff4d6d",
-  text: "#e4e4e7",
-  muted: "#9aa4bf",
-  barBg: "#2a2b3d",
-  otherColor: "#ff4d6d", // keep same hue, just reduce opacity for "Other"
-  bars: ["#ff4d6d", "#f1fa8c", "#8be9fd", "#50fa7b", "#bd93f9", "#ffb86c", "#ff79c6"],
-};
-
-function b64(s) {
-  return Buffer.from(s).toString("base64");
-}
-
-function escapeXml(str) {
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
-}
-
-function fmtMinutes(mins) {
+import { fileURLToPath } from "url";
+import { foldOtherRows, renderCard } from "./lib/render.mjs";
+import { variantPath } from "./lib/themes.mjs";
+import { cardPath } from "./lib/config.mjs";
+import { addDays } from "./lib/calendar.mjs";
+import { createI18n } from "./lib/i18n.mjs";
+
+// Name WakaTime gives time it can't attribute (unknown languages, editors, ...).
+// Only matched on API data; the cards show their own localized "Other" row.
+const WAKATIME_OTHER = "Other";
+
+// Compact cards: whole hours once the minutes stop mattering ("4.2k hrs")
+function fmtMinutesCompact(mins, i18n) {
   const h = Math.floor(mins / 60);
-  const m = mins % 60;
-  if (h <= 0) return `${m}m`;
-  if (m === 0) return `${h}h`;
-  return `${h}h ${m}m`;
-}
-
-async function fetchAllTimeStats() {
-  const auth = b64(API_KEY);
-  const url = "https://wakatime.com/api/v1/users/current/stats/all_time";
-  const res = await axios.get(url, {
-    headers: { Authorization: `Basic ${auth}` },
-    timeout: 30000,
-  });
-  return res.data;
+  return h >= 100 ? i18n.t("hours", { count: h, n: i18n.compactNumber(h) }) : i18n.duration(mins);
 }
 
-function sumSeconds(list = []) {
-  return (list || []).reduce((acc, x) => acc + (x.total_seconds || 0), 0);
+// Duration format of a card's layout
+function minutesFormat(card, i18n) {
+  return card.layout === "compact" ? (mins) => fmtMinutesCompact(mins, i18n) : i18n.duration;
 }
 
-function toRows(list = [], limit = 10) {
-  return (list || [])
-    .slice(0, limit)
-    .map((x) => ({
-      name: x.name,
-      time: x.text || fmtMinutes(Math.round((x.total_seconds || 0) / 60)),
-      percent: Number(x.percent || 0),
-      seconds: x.total_seconds || 0,
-    }));
+async function fetchStats(provider, range) {
+  const payload = await provider.get(`stats-${range}`, `/users/current/stats/${range}`);
+  if (!payload?.data) throw new Error(`WakaTime returned empty data for ${range}`);
+  return payload.data;
 }
 
-function pickTopLabel(rows) {
-  if (!rows || rows.length === 0) return "";
-  const top = rows[0];
-  const pct = Number.isFinite(top.percent) ? top.percent.toFixed(2) : "0.00";
-  return `Top: ${top.name} (${pct}%)`;
+// One summary per day, oldest first, for the `days` days up to today
+async function fetchSummaries(provider, days) {
+  const end = provider.now().toISOString().slice(0, 10);
+  const start = addDays(end, -(days - 1));
+  const payload = await provider.get(`summaries-${days}d`, `/users/current/summaries?start=${start}&end=${end}`);
+  if (!Array.isArray(payload?.data)) throw new Error(`WakaTime returned no summaries for ${start}..${end}`);
+  return payload.data;
 }
 
-// Visual upgrades:
-// - Reserve right column for percent (no overlap)
-// - Rank numbers with colored dots
-// - Icons per card
-// - "Updated hourly" label
-// - Top item label in header
-// - Other slightly dimmed but still visible
-// - subtle glow on filled bars
-function renderSvg({ icon, title, totalText, topText, rows }) {
-  const width = 900;
-  const padding = 28;
-  const rowH = 34;
-
-  const headerH = 112; // extra spacing
-  const dividerY = 88;
-
-  // Columns
-  const rankW = 46;              // rank + dot area
-  const nameX = padding + rankW; // name starts after rank
-  const barX = 380;              // bars start
-  const pctColW = 82;            // reserved column for percent text
-  const barW = width - barX - padding - pctColW;
-  const barH = 10;
-
-  const height = headerH + rows.length * rowH + 30;
-
-  const svgRows = rows
-    .map((r, i) => {
-      const y = headerH + i * rowH;
-      const isOther = r.name === "Other";
-
-      const baseColor = isOther ? theme.otherColor : theme.bars[i % theme.bars.length];
-      const barOpacity = isOther ? 0.85 : 1;
-
-      const pct = Math.max(0, Math.min(1, r.percent / 100));
-      const fillW = Math.round(barW * pct);
-
-      const rankText = `#${i + 1}`;
-
-      const dotCx = padding + 28;
-      const dotCy = y - 6;
-
-      const isTiny = r.percent < 1;
-      const nameColor = isTiny ? "#cbd5e1" : theme.text;
-      const nameOpacity = isTiny ? 0.92 : 1;
-
-      return `
-        <circle cx="${dotCx}" cy="${dotCy}" r="5" fill="${baseColor}" opacity="${barOpacity}"/>
-
-        <text x="${padding}" y="${y}" fill="${theme.muted}" font-size="12" font-weight="700"
-              font-family="ui-sans-serif, system-ui">${escapeXml(rankText)}</text>
-
-        <text x="${nameX}" y="${y}" fill="${nameColor}" opacity="${nameOpacity}" font-size="14"
-              font-family="ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto">${escapeXml(r.name)}</text>
-
-        <text x="${barX - 16}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13"
-              font-family="ui-sans-serif, system-ui">${escapeXml(r.time)}</text>
-
-        <rect x="${barX}" y="${y - 12}" rx="6" ry="6" width="${barW}" height="${barH}" fill="${theme.barBg}" />
-
-        <rect x="${barX}" y="${y - 12}" rx="6" ry="6" width="${fillW}" height="${barH}"
-              fill="${baseColor}" opacity="${barOpacity}" filter="url(#barGlow)" />
-
-        <text x="${width - padding}" y="${y}" text-anchor="end" fill="${theme.muted}" font-size="13"
-              font-family="ui-sans-serif, system-ui">${r.percent.toFixed(2)}%</text>
-      `;
-    })
-    .join("\n");
-
-  // Header layout
-  const headerTitle = `${icon} ${title}`;
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeXml(
-    title
-  )}">
-  <defs>
-    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
-      <stop offset="0%" stop-color="${theme.bg1}"/>
-      <stop offset="100%" stop-color="${theme.bg2}"/>
-    </linearGradient>
-
-    <filter id="barGlow" x="-20%" y="-50%" width="140%" height="200%">
-      <feDropShadow dx="0" dy="0" stdDeviation="2" flood-color="#ffffff" flood-opacity="0.08"/>
-      <feDropShadow dx="0" dy="4" stdDeviation="6" flood-color="#000000" flood-opacity="0.22"/>
-    </filter>
-
-    <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
-      <feDropShadow dx="0" dy="10" stdDeviation="18" flood-color="#000000" flood-opacity="0.35"/>
-    </filter>
-  </defs>
-
-  <rect x="0" y="0" width="${width}" height="${height}" rx="18" ry="18" fill="url(#bgGrad)" filter="url(#shadow)" />
-
-  <text x="${padding}" y="46" fill="${theme.title}" font-size="22" font-weight="900"
-        font-family="ui-sans-serif, system-ui">${escapeXml(headerTitle)}</text>
+function sumSeconds(list = []) {
+  return (list || []).reduce((acc, x) => acc + (x.total_seconds || 0), 0);
+}
 
-  <text x="${padding}" y="72" fill="${theme.muted}" font-size="12" font-weight="600"
-        font-family="ui-sans-serif, system-ui">Updated hourly</text>
+function toRows(list = [], card, i18n) {
+  const { limit = 10, minPercent = 0, other = true } = card;
+  const fmt = minutesFormat(card, i18n);
+  // WakaTime's own "2 hrs 5 mins" text is English and too long for compact cards
+  const apiText = card.layout !== "compact" && i18n.locale === "en";
+  const rows = (list || []).map((x) => ({
+    name: x.name,
+    valueText: (apiText && x.text) || fmt(Math.round((x.total_seconds || 0) / 60)),
+    percent: Number(x.percent || 0),
+    seconds: x.total_seconds || 0,
+    other: Boolean(x.other) || x.name === WAKATIME_OTHER,
+  }));
+
+  // The long tail (and WakaTime's own "Other") becomes one "Other" row with its summed time
+  const otherText = (rest) => fmt(Math.round(rest.reduce((acc, r) => acc + r.seconds, 0) / 60));
+  return foldOtherRows(rows, { limit, minPercent, otherText: other ? otherText : null, otherName: i18n.t("other") });
+}
 
-  <text x="${width - padding}" y="46" text-anchor="end" fill="${theme.text}" font-size="14" font-weight="800"
-        font-family="ui-sans-serif, system-ui">${escapeXml(totalText)}</text>
+/**
+ * Keeps allow-listed names (case-insensitive) and anonymizes or hides the rest,
+ * so private client projects never reach the README. Hidden entries are marked
+ * `other` and end up in the folded "Other" row, so the percentages stay honest.
+ */
+function applyPrivacy(list = [], source, privacy, i18n) {
+  if (!privacy || privacy.others === "show") return list || [];
+
+  const allowed = new Set(privacy.allow.map((n) => n.toLowerCase()));
+  let hidden = 0;
+  return (list || []).map((x) => {
+    if (allowed.has(String(x.name).toLowerCase())) return x;
+    if (privacy.others === "hide") return { ...x, other: true };
+    hidden++;
+    return { ...x, name: i18n.t(`waka.private.${source}`, { count: hidden }) };
+  });
+}
 
-  <text x="${width - padding}" y="72" text-anchor="end" fill="${theme.muted}" font-size="12" font-weight="700"
-        font-family="ui-sans-serif, system-ui">${escapeXml(topText || "")}</text>
+function pickTopLabel(rows, i18n) {
+  if (!rows || rows.length === 0) return "";
+  const top = rows[0];
+  return i18n.t("top", { value: i18n.t("share", { name: top.name, pct: i18n.percent(top.percent) }) });
+}
 
-  <line x1="${padding}" y1="${dividerY}" x2="${width - padding}" y2="${dividerY}"
-        stroke="#334155" stroke-width="1" opacity="0.65" />
+// "All time • 2h 16m/day avg • Best day Mar 4, 2025 (9h 12m)" (no best day on compact cards)
+function rangeSubtitle(range, d, i18n, { compact = false } = {}) {
+  const parts = [i18n.t(`waka.range.${range}`)];
+  if (d.daily_average) parts.push(i18n.t("waka.dailyAvg", { value: i18n.duration(Math.round(d.daily_average / 60)) }));
+  if (d.best_day?.date && !compact) {
+    const value = i18n.duration(Math.round((d.best_day.total_seconds || 0) / 60));
+    parts.push(i18n.t("waka.bestDay", { date: i18n.date(d.best_day.date), value }));
+  }
+  return parts.join(" • ");
+}
 
-  ${svgRows}
-</svg>`;
+function totalLabel(d, fmt, i18n) {
+  // Total from languages sum (includes Other) => consistent
+  const fromLangs = sumSeconds(d.languages);
+  const totalSeconds = fromLangs > 0 ? fromLangs : d.total_seconds || 0;
+  return i18n.t("total", { value: fmt(Math.round(totalSeconds / 60)) });
 }
 
-async function main() {
-  const payload = await fetchAllTimeStats();
-  const d = payload?.data;
+// Adapts WakaTime rows to the shared bar card
+function renderSvg({ theme, i18n, icon, title, subtitleLeft, totalText, topText, rows, tabs, animate, compact }) {
+  return renderCard("bars", {
+    theme,
+    i18n,
+    animate,
+    compact,
+    title: icon ? `${icon} ${title}` : title,
+    subtitleLeft,
+    totalText,
+    topText,
+    rows,
+    tabs,
+  });
+}
 
-  if (!d) {
-    console.error("WakaTime returned empty data");
-    process.exit(1);
+/**
+ * Daily chart data from summaries: the top `topN` languages of the window get
+ * their own segment (in hours), everything else (WakaTime's own "Other"
+ * included) is stacked on top as one more segment when `hasOther`.
+ */
+function dailySeries(summaries, topN) {
+  const byLang = new Map();
+  for (const day of summaries) {
+    for (const l of day.languages || []) byLang.set(l.name, (byLang.get(l.name) || 0) + (l.total_seconds || 0));
   }
+  const top = [...byLang.entries()]
+    .filter(([name]) => name !== WAKATIME_OTHER)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([name]) => name);
+
+  const days = summaries.map((day) => {
+    const seconds = day.grand_total?.total_seconds ?? sumSeconds(day.languages);
+    const own = new Map((day.languages || []).map((l) => [l.name, l.total_seconds || 0]));
+    const values = top.map((name) => (own.get(name) || 0) / 3600);
+    const other = Math.max(0, seconds / 3600 - values.reduce((a, v) => a + v, 0));
+    return { date: day.range?.date || String(day.range?.start).slice(0, 10), seconds, values: [...values, other] };
+  });
 
-  const languages = d.languages || [];
-  const editors = d.editors || [];
-  const operatingSystems = d.operating_systems || [];
+  // Drop the other segment when it's empty (a minute or less on every day)
+  const hasOther = days.some((d) => d.values[top.length] > 1 / 60);
+  if (!hasOther) days.forEach((d) => d.values.pop());
+
+  const totalSeconds = days.reduce((a, d) => a + d.seconds, 0);
+  const langSeconds = [...byLang.values()].reduce((a, v) => a + v, 0);
+  return {
+    names: top,
+    hasOther,
+    days,
+    totalSeconds,
+    topShare: top.length && langSeconds ? (byLang.get(top[0]) / langSeconds) * 100 : 0,
+  };
+}
 
-  // Total from languages sum (includes Other) => consistent
-  const totalSecondsFromLangs = sumSeconds(languages);
-  const totalSeconds = totalSecondsFromLangs > 0 ? totalSecondsFromLangs : (d.total_seconds || 0);
-  const totalText = `Total: ${fmtMinutes(Math.round(totalSeconds / 60))}`;
+function renderDaily({ theme, card, summaries, i18n }) {
+  const { names, hasOther, days, totalSeconds, topShare } = dailySeries(summaries, card.languages);
+  const avgSeconds = days.length ? totalSeconds / days.length : 0;
+  const active = days.filter((d) => d.seconds >= 60).length;
+  const best = days.reduce((b, d) => (!b || d.seconds > b.seconds ? d : b), null);
+  const compact = card.layout === "compact";
 
-  const langRows = toRows(languages, 10);
-  const editorRows = toRows(editors, 10);
-  const osRows = toRows(operatingSystems, 10);
+  const subtitle = [i18n.t("waka.lastDays", { count: card.days }), i18n.t("waka.activeDays", { count: active })];
+  if (best?.seconds && !compact) {
+    subtitle.push(i18n.t("waka.bestDay", { date: i18n.date(best.date), value: i18n.duration(Math.round(best.seconds / 60)) }));
+  }
 
-  const langsSvg = renderSvg({
-    icon: "💻",
-    title: "WakaTime • Languages",
-    totalText,
-    topText: pickTopLabel(langRows),
-    rows: langRows,
+  return renderCard("daily", {
+    theme,
+    i18n,
+    animate: card.animate,
+    compact,
+    title: card.title,
+    subtitleLeft: subtitle.join(" • "),
+    totalText: i18n.t("total", { value: minutesFormat(card, i18n)(Math.round(totalSeconds / 60)) }),
+    topText: names.length ? i18n.t("top", { value: i18n.t("share", { name: names[0], pct: i18n.percent(topShare) }) }) : "",
+    days: days.map((d) => {
+      const weekday = new Date(`${d.date}T00:00:00Z`).getUTCDay();
+      return {
+        weekdayText: i18n.weekday(weekday, "narrow"),
+        dateText: weekday === 1 ? i18n.date(d.date, { year: false }) : "",
+        label: i18n.date(d.date, { weekday: true }),
+        totalText: i18n.duration(Math.round(d.seconds / 60)),
+        values: d.values,
+      };
+    }),
+    series: [
+      ...names.map((name, i) => ({ name, color: theme.bars[i % theme.bars.length] })),
+      ...(hasOther ? [{ name: i18n.t("other"), color: theme.otherColor || theme.accent }] : []),
+    ],
+    average: avgSeconds / 3600,
+    averageText: i18n.t("waka.avg", { value: i18n.duration(Math.round(avgSeconds / 60)) }),
   });
+}
 
-  const editorsSvg = renderSvg({
-    icon: "🛠️",
-    title: "WakaTime • Editors",
-    totalText,
-    topText: pickTopLabel(editorRows),
-    rows: editorRows,
-  });
+// The first range keeps the card's file name, the others get e.g. "-last-30-days"
+function rangePath(config, card, range) {
+  const file = cardPath(config, card);
+  return range === card.ranges[0] ? file : variantPath(file, `-${range.replace(/_/g, "-")}`);
+}
 
-  const osSvg = renderSvg({
-    icon: "🖥️",
-    title: "WakaTime • OS",
-    totalText,
-    topText: pickTopLabel(osRows),
-    rows: osRows,
-  });
+/**
+ * Files a WakaTime card renders to (one per range, before theme suffixes).
+ */
+export function wakaTimeCardPaths(config, card) {
+  if (!card.ranges) return [cardPath(config, card)];
+  return card.ranges.map((range) => rangePath(config, card, range));
+}
 
-  fs.mkdirSync(OUT_DIR, { recursive: true });
-  fs.writeFileSync(OUT_LANGS, langsSvg, "utf8");
-  fs.writeFileSync(OUT_EDITORS, editorsSvg, "utf8");
-  fs.writeFileSync(OUT_OS, osSvg, "utf8");
+// Theme variants share one text alternative, next to the primary file
+function withAlt({ svg, markdown, alt }, suffix) {
+  return suffix ? { svg } : { svg, markdown, alt };
+}
 
-  console.log(`Wrote ${OUT_LANGS}`);
-  console.log(`Wrote ${OUT_EDITORS}`);
-  console.log(`Wrote ${OUT_OS}`);
+/**
+ * Fetches every stats range and summaries window the configured cards need (once
+ * each) and renders every WakaTime card, per range and theme variant. A request
+ * that fails only fails its cards (`svg: null`).
+ * Returns { cards: [{ card, out, svg, markdown?, alt?, error? }] } without writing anything.
+ */
+export async function generateWakaTimeCards({ config, provider, variants }) {
+  const cache = new Map();
+  const load = async (key, fetch) => {
+    if (!cache.has(key)) {
+      try {
+        cache.set(key, await fetch());
+      } catch (e) {
+        cache.set(key, { error: `${key}: ${e.message}` });
+      }
+    }
+    return cache.get(key);
+  };
+
+  const results = [];
+  for (const { suffix, theme } of variants) {
+    for (const card of config.wakatime.cards) {
+      const i18n = createI18n(card.locale);
+      if (card.type === "daily") {
+        const out = variantPath(cardPath(config, card), suffix);
+        const summaries = await load(`summaries-${card.days}d`, () => fetchSummaries(provider, card.days));
+        results.push(
+          summaries.error
+            ? { card, out, svg: null, error: summaries.error }
+            : { card, out, ...withAlt(renderDaily({ theme, card, summaries, i18n }), suffix) }
+        );
+        continue;
+      }
+
+      for (const range of card.ranges) {
+        const out = variantPath(rangePath(config, card, range), suffix);
+        const d = await load(`stats-${range}`, () => fetchStats(provider, range));
+        if (d.error) {
+          results.push({ card, out, svg: null, error: d.error });
+          continue;
+        }
+
+        const rows = toRows(applyPrivacy(d[card.source], card.source, card.privacy, i18n), card, i18n);
+        const compact = card.layout === "compact";
+        const view = renderSvg({
+          theme,
+          i18n,
+          animate: card.animate,
+          compact,
+          title: card.title,
+          subtitleLeft: rangeSubtitle(range, d, i18n, { compact }),
+          totalText: totalLabel(d, minutesFormat(card, i18n), i18n),
+          topText: pickTopLabel(rows, i18n),
+          rows,
+          tabs:
+            card.ranges.length > 1
+              ? card.ranges.map((r) => ({ label: i18n.t(`waka.tab.${r}`), active: r === range }))
+              : undefined,
+        });
+        results.push({ card, out, ...withAlt(view, suffix) });
+      }
+    }
+  }
+  return { cards: results };
 }
 
-main().catch((e) => {
-  console.error(e?.response?.data || e);
-  process.exit(1);
-});
\ No newline at end of file
+// Kept for existing setups: same as `node scripts/profile-cards.mjs generate --source wakatime`.
+// Imported lazily because profile-cards.mjs imports this module.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  import("./profile-cards.mjs")
+    .then(({ run }) => run(["generate", "--source", "wakatime", ...process.argv.slice(2)]))
+    .catch((e) => {
+      console.error(e.message || e);
+      process.exit(1);
+    });
+}